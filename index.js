@@ -1,12 +1,102 @@
+#!/usr/bin/env node
+const fs = require('fs');
 const readline = require('readline');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const boxen = require('boxen');
 const MsrDevice = require('./lib/MsrDevice');
-const { track1ISOAlphabetInverted } = require('./lib/constants');
+const { createTransport, listReaders } = require('./lib/transports');
+const { parseArgs, runCommand, runCommandOnReaders, selectsSeveralReaders, exitCodes } = require('./lib/cli');
+const { encodeIsoTracks, parseHexTrack, readBinaryTrack, trackByteBudget, checkTrackBudget, writeCard, verifyWrite } = require('./lib/operations');
+const { expectFromWrite } = require('./lib/verify');
+const { libraryFromConfig, parseTags } = require('./lib/library');
+const { loadBatchFile, defaultResultsFile, readResults, resumeIndex, appendResult } = require('./lib/batch');
+const { hexDump } = require('./lib/utils');
+const { DUMP_FORMATS, formatFromPath, binTrackPaths, saveDump, loadDump } = require('./lib/dump');
+const { describeErrors } = require('./lib/trackDecoder');
+const { getDeviceInfo, runSelfTest } = require('./lib/diagnostics');
+const { loadConfig, configDir, saveConfig, configPaths, validBPI, validBPC } = require('./lib/config');
+const { loadEncoding, resolveEncoding, describeEncoding } = require('./lib/encodings');
+const { inspectCard, renderInspection } = require('./lib/inspect');
+const { compareCards, renderComparison, ValidationSession } = require('./lib/validate');
+const { auditFromConfig, deviceIdentity } = require('./lib/audit');
+const { maskTrack, maskTrackInfo, maskVerification, maskInspection, maskFormat, maskResult } = require('./lib/mask');
+const { loadPlugins, identifyCard, checkField, buildTracks } = require('./lib/plugins');
+const { loadWriteScript, scriptInputs, renderScript, validateTracks, countersFromConfig } = require('./lib/writeScript');
+const { AbortError, DisconnectedError } = require('./lib/errors');
+const { traceFileFor } = require('./lib/trace');
 
-const device = new MsrDevice();
+let cliArgs;
+try {
+    cliArgs = parseArgs(process.argv.slice(2));
+} catch (e) {
+    console.error(e.message);
+    process.exit(e.exitCode || exitCodes.usage);
+}
+
+let config;
+let plugins;
+try {
+    config = loadConfig();
+    plugins = loadPlugins(config.plugins, configDir(config, 'plugins'));
+} catch (e) {
+    console.error(e.message);
+    process.exit(exitCodes.error);
+}
+
+const library = libraryFromConfig(config);
+const audit = auditFromConfig(config);
+const counters = countersFromConfig(config);
+
+// --simulate swaps the USB reader for an in-memory MSR605X, handy without hardware,
+// and --replay for a trace recorded with --trace. selector picks one of several
+// attached readers, see UsbTransport. An unplugged reader is picked up again
+// when it comes back, and a swipe that was being waited for carries on.
+const createDevice = (selector, trace = cliArgs.options.trace) => {
+    const created = new MsrDevice({
+        transport: createTransport(selector ? { id: selector } : null, {
+            simulate: cliArgs.options.simulate === true,
+            replay: cliArgs.options.replay,
+            trace
+        }),
+        config: config.device,
+        autoReconnect: true
+    });
+    // scripting commands report this on stderr themselves
+    if (!cliArgs.command) {
+        created.on('disconnected', () => console.log(chalk.yellow('\nReader unplugged, waiting for it to be plugged back in...')));
+        created.on('reconnected', () => console.log(chalk.green('\nReader reconnected.')));
+    }
+    return created;
+};
+
+// set by Power off in Diagnostics: the menu leaves the reader asleep until an
+// operation needs it
+let readerAsleep = false;
+
+// the menu works with one reader at a time and asks for it when --device names several
+const readerSelector = selectsSeveralReaders(cliArgs.options.device) ? undefined : cliArgs.options.device;
+let device;
+try {
+    device = createDevice(readerSelector);
+} catch (e) {
+    console.error(e.message);
+    process.exit(exitCodes.usage);
+}
+
+// Adds an entry to the audit log; outcome is 'ok', 'failed' or 'cancelled'
+const recordAudit = (operation, outcome, { trackData = null, error = null, detail = null } = {}) => {
+    if (!audit) return;
+    try {
+        audit.record({ operation, outcome, device: deviceIdentity(device), trackData, error, detail });
+    } catch (e) {
+        console.log(chalk.yellow(`Could not write to the audit log: ${e.message}`));
+    }
+};
+
+const auditFailure = (operation, error) => recordAudit(operation,
+    error instanceof AbortError ? 'cancelled' : 'failed', { error: error.message });
 
 const runWithCancellation = async (fn) => {
     readline.emitKeypressEvents(process.stdin);
@@ -49,46 +139,349 @@ const displayBanner = () => {
             { padding: 1, margin: 1, borderStyle: 'round', borderColor: 'cyan' }
         )
     );
+    if (device.connected && device.transport.id) {
+        console.log(chalk.dim(`  Reader: ${describeReader(device.transport)}\n`));
+    }
     console.log(chalk.dim('  Magnetic Stripe Reader/Writer CLI Tool\n'));
 };
 
-const formatTrackData = (data, trackNum) => {
+// account numbers and names are masked on screen unless started with --reveal
+const reveal = cliArgs.options.reveal === true;
+
+const shownTrack = (text, trackNum) => reveal ? text : maskTrack(text, device.trackFormats[trackNum - 1]);
+
+const formatTrackData = (data, trackNum, info) => {
+    if (!reveal) {
+        data = shownTrack(data, trackNum);
+        info = maskTrackInfo(info, device.trackFormats[trackNum - 1]);
+    }
     if (!data) return chalk.gray('Empty');
-    if (data === 'Corrupt Data') return chalk.red('Corrupt Data');
+    if (data === 'Corrupt Data') {
+        if (!info || !info.text) return chalk.red('Corrupt Data');
+        return chalk.red(info.text) + '\n' + chalk.red(`  ↳ ${describeErrors(info.errors)}`);
+    }
     if (data === 'No Data') return chalk.gray('No Data');
-    return chalk.green(data);
+    return chalk.green(data) + (info && info.reversed ? chalk.yellow(' (swiped backwards)') : '');
+};
+
+const promptSaveToLibrary = async ({ isoTracks, trackData }) => {
+    const { save } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'save',
+        message: 'Save this card to the library?',
+        default: false
+    }]);
+    if (!save) return;
+
+    const answers = await inquirer.prompt([
+        { type: 'input', name: 'name', message: 'Name:', validate: input => input.trim().length > 0 || 'Enter a name' },
+        { type: 'input', name: 'tags', message: 'Tags (comma separated):' },
+        { type: 'input', name: 'notes', message: 'Notes:' }
+    ]);
+    try {
+        const card = library.add({
+            name: answers.name.trim(),
+            tags: parseTags(answers.tags),
+            notes: answers.notes,
+            isoTracks,
+            trackData
+        });
+        console.log(chalk.green(`Saved as ${card.id}.`));
+    } catch (error) {
+        console.log(chalk.red(`Could not save card: ${error.message}`));
+    }
+};
+
+const promptExport = async (result) => {
+    const { format } = await inquirer.prompt([{
+        type: 'list',
+        name: 'format',
+        message: 'Export this read to a file?',
+        choices: [
+            { name: 'No', value: null },
+            { name: 'JSON (ISO text and raw hex)', value: 'json' },
+            { name: 'CSV', value: 'csv' },
+            { name: 'Raw .bin per track', value: 'bin' },
+            { name: 'Annotated hex dump', value: 'hex' },
+            { name: 'Encrypted (passphrase protected)', value: 'enc' }
+        ]
+    }]);
+    if (!format) return;
+
+    const { file } = await inquirer.prompt([{
+        type: 'input',
+        name: 'file',
+        message: 'File:',
+        default: `card-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${format}`
+    }]);
+
+    let saveOptions = {};
+    if (format === 'enc') {
+        const { passphrase } = await inquirer.prompt([
+            {
+                type: 'password',
+                name: 'passphrase',
+                mask: '*',
+                message: 'Passphrase:',
+                validate: input => input.length >= 8 || 'Use at least 8 characters'
+            },
+            {
+                type: 'password',
+                name: 'confirm',
+                mask: '*',
+                message: 'Repeat passphrase:',
+                validate: (input, answers) => input === answers.passphrase || 'Passphrases do not match'
+            }
+        ]);
+        saveOptions = { passphrase };
+    }
+
+    try {
+        const files = saveDump(result, file, format, saveOptions);
+        console.log(chalk.green(`Exported to ${files.join(', ')}`));
+    } catch (error) {
+        console.log(chalk.red(`Could not export: ${error.message}`));
+    }
+};
+
+const inspectStyle = {
+    heading: chalk.bold.cyan,
+    dim: chalk.dim,
+    zeros: chalk.gray,
+    sentinel: chalk.blue,
+    lrc: chalk.magenta,
+    good: chalk.green,
+    bad: chalk.red,
+};
+
+// Loads a dump file, asking for the passphrase when it is encrypted
+const loadDumpFile = async (file) => {
+    if (formatFromPath(file) !== 'enc') return loadDump(file);
+    const { passphrase } = await inquirer.prompt([{
+        type: 'password',
+        name: 'passphrase',
+        mask: '*',
+        message: 'Passphrase:'
+    }]);
+    return loadDump(file, 'enc', { passphrase });
+};
+
+const showInspection = (trackData) => {
+    const inspections = inspectCard(trackData, device.trackFormats);
+    console.log('\n' + renderInspection(reveal ? inspections : maskInspection(inspections, device.trackFormats), inspectStyle) + '\n');
+};
+
+// The fields of a card a format plugin knows, masked like the tracks
+const showFormat = (format) => {
+    if (!format) return;
+    if (format.error) {
+        console.log(chalk.yellow(`Looks like a ${format.label}, but it could not be parsed: ${format.error}`));
+        return;
+    }
+    const { fields } = reveal ? format : maskFormat(format);
+    const width = Math.max(...fields.map(field => field.label.length));
+    console.log(boxen(
+        fields.map(field => `${chalk.cyan(field.label.padEnd(width))}  ${field.value == null ? chalk.gray('-') : field.value}`).join('\n'),
+        { title: format.label, borderStyle: 'round', padding: { left: 1, right: 1 } }
+    ));
 };
 
 const handleRead = async () => {
     const spinner = ora('Waiting for card swipe...').start();
     try {
+        let result = null;
         await runWithCancellation(async () => {
-            await device.sendControl(device.assemblePacket('enableRead'));
-            const { isoTracks, trackData } = await device.readData();
+            result = await device.readSwipe();
+            const format = identifyCard(plugins, result);
+            // private fields of a known format are hidden in the tracks too
+            const { isoTracks, trackInfo } = reveal || !format ? result
+                : maskResult({ isoTracks: result.isoTracks, trackInfo: result.trackInfo, format }, device.trackFormats);
             spinner.succeed('Card read successfully!');
+            recordAudit('read', 'ok', { trackData: result.trackData });
 
             console.log('\n' + boxen(
-                `Track 1: ${formatTrackData(isoTracks[0], 1)}\n` +
-                `Track 2: ${formatTrackData(isoTracks[1], 2)}\n` +
-                `Track 3: ${formatTrackData(isoTracks[2], 3)}`,
+                `Track 1: ${formatTrackData(isoTracks[0], 1, trackInfo[0])}\n` +
+                `Track 2: ${formatTrackData(isoTracks[1], 2, trackInfo[1])}\n` +
+                `Track 3: ${formatTrackData(isoTracks[2], 3, trackInfo[2])}`,
                 { title: 'Card Data (ISO)', borderStyle: 'round', padding: 1 }
             ));
+            showFormat(format);
         });
 
+        if (result.trackInfo.some(info => info.status === 'corrupt')) {
+            const { inspect } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'inspect',
+                message: 'Some tracks are corrupt. Inspect the raw bits?',
+                default: true
+            }]);
+            if (inspect) showInspection(result.trackData);
+        }
+        await promptSaveToLibrary(result);
+        await promptExport(result);
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
     } catch (error) {
-        if (error.message === 'Operation aborted by user') {
+        auditFailure('read', error);
+        if (error instanceof AbortError) {
             spinner.stop();
             return;
         }
-        spinner.fail(`Read failed: ${error.message}`);
+        spinner.fail(failureText('Read failed', error));
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
     } finally {
         try { await device.reset(); } catch (e) {}
     }
 };
 
-const handleWrite = async () => {
+// Spinner text for a failed attempt, naming the device's reason when it gave one
+const showRetry = (spinner, verb) => (attempt, total, error) => {
+    spinner.text = `${verb} failed${error ? ` (${error.reason})` : ''}, retrying (${attempt}/${total})... Swipe again.`;
+};
+
+const failureText = (prefix, error) => `${prefix}: ${error.message}` +
+    (error.reason && !error.message.includes(error.reason) ? ` (${error.reason})` : '') +
+    (error.suggestion ? `\n  ${chalk.yellow(error.suggestion)}` : '');
+
+const verifyEnabled = !cliArgs.options['no-verify'] && config.verifyWrites !== false;
+
+// Asks for a second swipe and compares it with what was written. Returns the
+// comparison, or null when verification is off or the user cancelled.
+const verifyWrittenCard = async (expected) => {
+    if (!verifyEnabled) return null;
+    const spinner = ora('Swipe the card again to VERIFY...').start();
+    try {
+        await device.reset();
+        const verification = await runWithCancellation(() => verifyWrite(device, expected));
+        if (verification.ok) {
+            spinner.succeed('Read-back matches what was written.');
+        } else {
+            spinner.fail(`Verification failed on track ${verification.failedTracks.join(', ')}`);
+        }
+        const shown = reveal ? verification : maskVerification(verification, device.trackFormats);
+        console.log(boxen(
+            shown.tracks.map(t => `Track ${t.track}: ` + (!t.checked ? chalk.gray('not written')
+                : t.ok ? chalk.green('PASS') : chalk.red(`FAIL - ${t.reason}`))).join('\n'),
+            { title: 'Verification', borderStyle: 'round', padding: { left: 1, right: 1 } }
+        ));
+        return verification;
+    } catch (error) {
+        if (error instanceof AbortError) {
+            spinner.warn('Verification skipped.');
+        } else {
+            spinner.fail(failureText('Verify Error', error));
+        }
+        return null;
+    }
+};
+
+// Verifies a fresh write and offers to rewrite the card until it reads back right
+const verifyWithRewrite = async (trackData, expected) => {
+    for (;;) {
+        const verification = await verifyWrittenCard(expected);
+        if (!verification || verification.ok) return;
+
+        const { rewrite } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'rewrite',
+            message: 'Rewrite the card?',
+            default: true
+        }]);
+        if (!rewrite) return;
+
+        const spinner = ora('Please swipe card to WRITE...').start();
+        try {
+            await device.reset();
+            await runWithCancellation(() => writeCard(device, trackData, { onRetry: showRetry(spinner, 'Write') }));
+            spinner.succeed('Card rewritten.');
+            recordAudit('rewrite', 'ok', { trackData });
+        } catch (error) {
+            auditFailure('rewrite', error);
+            if (error instanceof AbortError) {
+                spinner.stop();
+            } else {
+                spinner.fail(failureText('Write Error', error));
+            }
+            return;
+        }
+    }
+};
+
+// Fills in a card format plugin's form and builds the tracks from it
+const promptFormatTracks = async (plugin) => {
+    const values = await inquirer.prompt(plugin.fields.map(field => ({
+        type: 'input',
+        name: field.name,
+        message: `${field.label || field.name}${field.hint ? ` (${field.hint})` : ''}:`,
+        default: field.default,
+        validate: input => checkField(field, input) || true,
+    })));
+    const tracks = buildTracks(plugin, values);
+    const format = { fields: plugin.fields.map(field => ({ value: values[field.name], mask: field.mask })) };
+    showTracksToWrite(reveal ? tracks : maskResult({ isoTracks: tracks, format }, device.trackFormats).isoTracks);
+    return { tracks };
+};
+
+const showTracksToWrite = (shown) => console.log(boxen(
+    shown.map((track, i) => `Track ${i + 1}: ${track || chalk.gray('Empty')}`).join('\n'),
+    { title: 'Tracks to write', borderStyle: 'round', padding: { left: 1, right: 1 } }
+));
+
+// Fills in a write script, shows the exact text and asks before writing. Its
+// counters move on once the card is written.
+const promptScriptTracks = async () => {
+    let script;
+    const { file } = await inquirer.prompt([{
+        type: 'input',
+        name: 'file',
+        message: 'Write script file:',
+        validate: input => {
+            try {
+                script = loadWriteScript(input.trim());
+                return true;
+            } catch (e) {
+                return e.message;
+            }
+        }
+    }]);
+    const values = await inquirer.prompt(scriptInputs(script).map(input => ({
+        type: 'input',
+        name: input.name,
+        message: `${input.name}${input.width ? ` (up to ${input.width} characters)` : ''}:`,
+        default: input.default,
+    })));
+    const rendered = renderScript(script, { values, counters });
+    const problems = validateTracks(rendered.tracks, device.trackFormats);
+    if (problems.length > 0) {
+        throw new Error(`${file.trim()} does not give valid tracks:\n  ${problems.join('\n  ')}`);
+    }
+    showTracksToWrite(rendered.tracks.map((track, i) => shownTrack(track, i + 1)));
+    const { write } = await inquirer.prompt([{ type: 'confirm', name: 'write', message: 'Write this card?', default: true }]);
+    if (!write) return null;
+    return {
+        tracks: rendered.tracks,
+        operation: 'write-script',
+        onWritten: () => counters.commit(script, rendered.counters),
+    };
+};
+
+// Track text typed in as it is, filled in from a write script or built from
+// a card format's fields. Resolves with { tracks, operation, onWritten }, or
+// null when the user thought better of it.
+const promptWriteTracks = async () => {
+    const formats = plugins.filter(plugin => plugin.fields);
+    const { source } = await inquirer.prompt([{
+        type: 'list',
+        name: 'source',
+        message: 'What to write:',
+        choices: [
+            { name: 'Plain track text', value: 'plain' },
+            { name: 'From a write script', value: 'script' },
+            ...formats.map(plugin => ({ name: plugin.label, value: plugin.name })),
+        ]
+    }]);
+    if (source === 'script') return promptScriptTracks();
+    if (source !== 'plain') return promptFormatTracks(formats.find(plugin => plugin.name === source));
+
     const answers = await inquirer.prompt([
         {
             type: 'input',
@@ -107,101 +500,537 @@ const handleWrite = async () => {
         }
     ]);
 
-    const data = [
-        answers.track1 || '',
-        answers.track2 || '',
-        answers.track3 || ''
-    ];
+    return {
+        tracks: [
+            answers.track1 || '',
+            answers.track2 || '',
+            answers.track3 || ''
+        ]
+    };
+};
+
+const handleWrite = async () => {
+    let source;
+    try {
+        source = await promptWriteTracks();
+    } catch (error) {
+        console.log(chalk.red(`Could not build the tracks: ${error.message}`));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+    if (!source) return;
+    const { tracks: data, operation = 'write-iso', onWritten = () => {} } = source;
 
     const spinner = ora('Preparing to write...').start();
 
     try {
         // Encode data
-        const isoEncoded = [
-            data[0] ? await device.encodeISO(require('./lib/constants').track0ISOAlphabetInverted, 7, data[0]) : [0],
-            data[1] ? await device.encodeISO(track1ISOAlphabetInverted, 5, data[1]) : [0],
-            data[2] ? await device.encodeISO(track1ISOAlphabetInverted, 5, data[2]) : [0],
-        ];
+        const isoEncoded = await encodeIsoTracks(device, data);
 
         await runWithCancellation(async () => {
             spinner.text = 'Please swipe card to WRITE...';
-            
-            let success = false;
-            for (let i = 0; i < 3; i++) {
-                if (await device.writeRawData(isoEncoded)) {
-                    success = true;
-                    break;
+            await writeCard(device, isoEncoded, { onRetry: showRetry(spinner, 'Write') });
+            spinner.succeed('Card written successfully!');
+            recordAudit(operation, 'ok', { trackData: isoEncoded });
+            onWritten();
+        });
+        await verifyWithRewrite(isoEncoded, expectFromWrite(isoEncoded, data));
+    } catch (error) {
+        auditFailure(operation, error);
+        if (error instanceof AbortError) {
+            spinner.stop();
+            return;
+        }
+        spinner.fail(failureText('Write Error', error));
+    } finally {
+        await device.reset();
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    }
+};
+
+const handleWriteRaw = async () => {
+    const trackData = [];
+    for (let i = 0; i < 3; i++) {
+        const budget = trackByteBudget(device.config, i);
+        const { source } = await inquirer.prompt([{
+            type: 'list',
+            name: 'source',
+            message: `Track ${i + 1} (max ${budget} bytes):`,
+            choices: [
+                { name: 'Skip (leave as is)', value: 'skip' },
+                { name: 'Hex string', value: 'hex' },
+                { name: 'Binary file', value: 'file' },
+            ]
+        }]);
+
+        if (source === 'skip') {
+            trackData.push([]);
+            continue;
+        }
+
+        const { value } = await inquirer.prompt([{
+            type: 'input',
+            name: 'value',
+            message: source === 'hex' ? `Track ${i + 1} hex:` : `Track ${i + 1} file path:`,
+            validate: (input) => {
+                try {
+                    const bytes = source === 'hex' ? parseHexTrack(input, i + 1) : readBinaryTrack(input, i + 1);
+                    if (bytes.length > budget) return `${bytes.length} bytes, track ${i + 1} holds at most ${budget}`;
+                    return bytes.length > 0 || 'Enter some data, or go back and skip the track';
+                } catch (e) {
+                    return e.message;
                 }
-                spinner.text = `Write failed, retrying (${i + 1}/3)... Swipe again.`;
             }
+        }]);
+        trackData.push(source === 'hex' ? parseHexTrack(value, i + 1) : readBinaryTrack(value, i + 1));
+    }
 
-            if (success) {
-                spinner.succeed('Card written successfully!');
-            } else {
-                spinner.fail('Failed to write after multiple attempts.');
-            }
+    if (trackData.every(track => track.length == 0)) {
+        console.log(chalk.yellow('All tracks skipped, nothing to write.'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    console.log('\n' + boxen(
+        trackData.map((track, i) => `Track ${i + 1}: ` + (track.length > 0
+            ? `${track.length} bytes\n${chalk.cyan(hexDump(track))}`
+            : chalk.gray('skipped'))
+        ).join('\n\n'),
+        { title: 'Raw Data To Write', borderStyle: 'round', padding: 1 }
+    ));
+
+    const confirm = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'sure',
+        message: 'Write these bytes to the card?',
+        default: false
+    }]);
+    if (!confirm.sure) return;
+
+    const spinner = ora('Please swipe card to WRITE...').start();
+    try {
+        await runWithCancellation(async () => {
+            await writeCard(device, trackData, { onRetry: showRetry(spinner, 'Write') });
+            spinner.succeed('Raw data written successfully!');
+            recordAudit('write-raw', 'ok', { trackData });
+        });
+        await verifyWithRewrite(trackData, expectFromWrite(trackData));
+    } catch (error) {
+        auditFailure('write-raw', error);
+        if (error instanceof AbortError) {
+            spinner.stop();
+            return;
+        }
+        spinner.fail(failureText('Write Error', error));
+    } finally {
+        await device.reset();
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    }
+};
+
+const formatLibraryCard = (card) => {
+    return `Name:  ${card.name}\n` +
+        `Saved: ${card.createdAt}\n` +
+        `Tags:  ${card.tags.length > 0 ? card.tags.join(', ') : chalk.gray('none')}\n` +
+        (card.notes ? `Notes: ${card.notes}\n` : '') + '\n' +
+        card.isoTracks.map((track, i) => `Track ${i + 1}: ${formatTrackData(track, i + 1)}`).join('\n') + '\n\n' +
+        // corrupt tracks cannot be masked, their raw bytes are hidden instead
+        card.trackData.map((hex, i) => `Raw ${i + 1}: ` + (shownTrack(card.isoTracks[i], i + 1) !== card.isoTracks[i] ||
+            (!reveal && hex && card.isoTracks[i] === 'Corrupt Data')
+            ? chalk.gray('masked') : chalk.dim(hex || '-'))).join('\n');
+};
+
+const writeLibraryCard = async (card) => {
+    let trackData;
+    try {
+        trackData = card.trackData.map((hex, i) => parseHexTrack(hex, i + 1));
+        checkTrackBudget(trackData, device.config);
+    } catch (error) {
+        console.log(chalk.red(`Cannot write ${card.name}: ${error.message}`));
+        return;
+    }
+
+    const spinner = ora(`Please swipe card to WRITE "${card.name}"...`).start();
+    try {
+        await runWithCancellation(async () => {
+            await writeCard(device, trackData, { onRetry: showRetry(spinner, 'Write') });
+            spinner.succeed('Card written from library!');
+            recordAudit('library-write', 'ok', { trackData, detail: { card: card.name } });
         });
+        await verifyWithRewrite(trackData, expectFromWrite(trackData, card.isoTracks));
     } catch (error) {
-        if (error.message === 'Operation aborted by user') {
+        auditFailure('library-write', error);
+        if (error instanceof AbortError) {
             spinner.stop();
             return;
         }
-        spinner.fail(`Write Error: ${error.message}`);
+        spinner.fail(failureText('Write Error', error));
     } finally {
         await device.reset();
+    }
+};
+
+const handleInspect = async () => {
+    const { source } = await inquirer.prompt([{
+        type: 'list',
+        name: 'source',
+        message: 'Inspect:',
+        choices: [
+            { name: 'Swipe a card', value: 'swipe' },
+            { name: 'A dump file', value: 'file' },
+            { name: 'Back', value: 'back' }
+        ]
+    }]);
+    if (source === 'back') return;
+
+    if (source === 'file') {
+        const { file } = await inquirer.prompt([{
+            type: 'input',
+            name: 'file',
+            message: `Dump file (${DUMP_FORMATS.join(', ')}):`,
+            validate: input => fs.existsSync(input) || binTrackPaths(input).some(f => fs.existsSync(f)) || 'File not found'
+        }]);
+        try {
+            showInspection((await loadDumpFile(file)).trackData);
+        } catch (error) {
+            console.log(chalk.red(error.message));
+        }
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const spinner = ora('Waiting for card swipe...').start();
+    try {
+        let trackData = null;
+        await runWithCancellation(async () => {
+            ({ trackData } = await device.readSwipe());
+            spinner.succeed('Card read!');
+            recordAudit('inspect', 'ok', { trackData });
+        });
+        showInspection(trackData);
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    } catch (error) {
+        auditFailure('inspect', error);
+        if (error instanceof AbortError) {
+            spinner.stop();
+            return;
+        }
+        spinner.fail(failureText('Read failed', error));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    } finally {
+        try { await device.reset(); } catch (e) {}
     }
 };
 
+const handleImport = async () => {
+    const { file } = await inquirer.prompt([{
+        type: 'input',
+        name: 'file',
+        message: `Dump file (${DUMP_FORMATS.join(', ')}):`,
+        validate: input => fs.existsSync(input) || binTrackPaths(input).some(f => fs.existsSync(f)) || 'File not found'
+    }]);
+
+    let dump;
+    try {
+        dump = await loadDumpFile(file);
+    } catch (error) {
+        console.log(chalk.red(error.message));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const hasRaw = dump.trackData.some(track => track.length > 0);
+    const hasIso = dump.isoTracks.some(track => track);
+    console.log('\n' + boxen(
+        [0, 1, 2].map(i => `Track ${i + 1}: ${dump.isoTracks[i] ? chalk.green(shownTrack(dump.isoTracks[i], i + 1)) : chalk.gray('no ISO text')}` +
+            chalk.dim(`  (${dump.trackData[i].length} raw bytes)`)).join('\n'),
+        { title: file, borderStyle: 'round', padding: 1 }
+    ));
+
+    let mode = hasRaw ? 'raw' : 'iso';
+    if (hasRaw && hasIso) {
+        ({ mode } = await inquirer.prompt([{
+            type: 'list',
+            name: 'mode',
+            message: 'Write as:',
+            choices: [
+                { name: 'Raw data (exact copy)', value: 'raw' },
+                { name: 'ISO text, re-encoded for the current settings', value: 'iso' }
+            ]
+        }]));
+    } else if (!hasRaw && !hasIso) {
+        console.log(chalk.yellow('The dump is empty, nothing to write.'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const spinner = ora('Preparing to write...').start();
+    try {
+        const trackData = mode === 'iso' ? await encodeIsoTracks(device, dump.isoTracks) : dump.trackData;
+        checkTrackBudget(trackData, device.config);
+        await runWithCancellation(async () => {
+            spinner.text = 'Please swipe card to WRITE...';
+            await writeCard(device, trackData, { onRetry: showRetry(spinner, 'Write') });
+            spinner.succeed('Card written from dump!');
+            recordAudit('import', 'ok', { trackData, detail: { file, mode } });
+        });
+        await verifyWithRewrite(trackData, expectFromWrite(trackData, dump.isoTracks));
+    } catch (error) {
+        auditFailure('import', error);
+        if (error instanceof AbortError) {
+            spinner.stop();
+            return;
+        }
+        spinner.fail(failureText('Write Error', error));
+    } finally {
+        await device.reset();
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    }
+};
+
+const handleLibrary = async () => {
+    let query = '';
+    while (true) {
+        let cards;
+        try {
+            cards = library.search(query);
+        } catch (error) {
+            console.log(chalk.red(error.message));
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+            return;
+        }
+
+        const { choice } = await inquirer.prompt([{
+            type: 'list',
+            name: 'choice',
+            message: query ? `Cards matching "${query}" (${cards.length}):` : `Card library (${cards.length}):`,
+            pageSize: 15,
+            choices: [
+                ...cards.map(card => ({
+                    name: `${card.name} ${chalk.dim(`${card.id} · ${card.createdAt.slice(0, 10)}${card.tags.length > 0 ? ` · ${card.tags.join(', ')}` : ''}`)}`,
+                    value: card.id
+                })),
+                new inquirer.Separator(),
+                { name: '🔍  Search', value: '@search' },
+                ...(query ? [{ name: 'Show all', value: '@all' }] : []),
+                { name: 'Back', value: '@back' }
+            ]
+        }]);
+
+        if (choice === '@back') return;
+        if (choice === '@all') {
+            query = '';
+            continue;
+        }
+        if (choice === '@search') {
+            ({ query } = await inquirer.prompt([{ type: 'input', name: 'query', message: 'Search name, tags, notes or track data:' }]));
+            continue;
+        }
+
+        const card = library.get(choice);
+        console.log('\n' + boxen(formatLibraryCard(card), { title: `Card ${card.id}`, borderStyle: 'round', padding: 1 }));
+
+        const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: 'What would you like to do with this card?',
+            choices: [
+                { name: '✍️   Write to a card', value: 'write' },
+                { name: '🗑️   Delete', value: 'delete' },
+                { name: 'Back', value: 'back' }
+            ]
+        }]);
+
+        if (action === 'write') {
+            await writeLibraryCard(card);
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        } else if (action === 'delete') {
+            const confirm = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'sure',
+                message: `Delete "${card.name}" from the library?`,
+                default: false
+            }]);
+            if (confirm.sure) {
+                library.remove(card.id);
+                console.log(chalk.green('Card deleted.'));
+            }
+        }
+    }
+};
+
+const handleBatch = async () => {
+    const { file } = await inquirer.prompt([{
+        type: 'input',
+        name: 'file',
+        message: 'Batch file (CSV or JSONL with t1,t2,t3 columns):',
+        validate: input => fs.existsSync(input) || 'File not found'
+    }]);
+
+    let rows;
+    try {
+        rows = loadBatchFile(file);
+        if (rows.length == 0) throw new Error(`No rows in ${file}`);
+    } catch (error) {
+        console.log(chalk.red(error.message));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const { resultsFile } = await inquirer.prompt([{
+        type: 'input',
+        name: 'resultsFile',
+        message: 'Results file:',
+        default: defaultResultsFile(file)
+    }]);
+
+    let start = 0;
+    const previous = readResults(resultsFile);
+    if (previous.length > 0) {
+        const index = resumeIndex(rows, previous);
+        const { resume } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'resume',
+            message: index < rows.length
+                ? `${resultsFile} has earlier results. Resume at row ${rows[index].row} (${index} of ${rows.length} done)?`
+                : `${resultsFile} shows all ${rows.length} rows written. Start over?`,
+            default: true
+        }]);
+        if (index >= rows.length && !resume) return;
+        start = index < rows.length && resume ? index : 0;
+    }
+
+    const encoded = [];
+    for (const row of rows.slice(start)) {
+        try {
+            if (row.tracks.every(track => !track)) throw new Error('no track data');
+            encoded.push(await encodeIsoTracks(device, row.tracks));
+        } catch (error) {
+            console.log(chalk.red(`Row ${row.row} (${row.id}): ${error.message}`));
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+            return;
+        }
+    }
+
+    let written = 0;
+    for (let i = start; i < rows.length; i++) {
+        const row = rows[i];
+        const trackData = encoded[i - start];
+        console.log('\n' + boxen(
+            row.tracks.map((track, t) => `Track ${t + 1}: ${track ? chalk.green(shownTrack(track, t + 1)) : chalk.gray('blank')}`).join('\n'),
+            { title: `Card ${i + 1} of ${rows.length} · ${row.id}`, borderStyle: 'round', padding: { left: 1, right: 1 } }
+        ));
+
+        const { next } = await inquirer.prompt([{
+            type: 'input',
+            name: 'next',
+            message: 'Press Enter to write this card (s = skip, q = stop):'
+        }]);
+        if (next.trim().toLowerCase() === 'q') break;
+        if (next.trim().toLowerCase() === 's') {
+            appendResult(resultsFile, { row: row.row, id: row.id, status: 'skipped', timestamp: new Date().toISOString() });
+            continue;
+        }
+
+        const spinner = ora(`Card ${i + 1} of ${rows.length}: please swipe card to WRITE...`).start();
+        let outcome;
+        try {
+            outcome = await runWithCancellation(async () => {
+                const attempts = await writeCard(device, trackData, { onRetry: showRetry(spinner, 'Write') });
+                return { status: 'ok', attempts };
+            });
+        } catch (error) {
+            if (error instanceof AbortError) {
+                recordAudit('batch', 'cancelled', { trackData, error: error.message, detail: { file, row: row.row, id: row.id } });
+                spinner.stop();
+                await device.reset();
+                break;
+            }
+            outcome = { status: 'failed', error: error.message, suggestion: error.suggestion };
+        }
+        await device.reset();
+
+        if (outcome.status === 'ok') {
+            spinner.succeed(`Card ${i + 1} of ${rows.length} (${row.id}) written.`);
+            const verification = await verifyWrittenCard(expectFromWrite(trackData, row.tracks));
+            await device.reset();
+            if (verification && !verification.ok) {
+                outcome = { status: 'failed', attempts: outcome.attempts, error: `verification failed on track ${verification.failedTracks.join(', ')}` };
+            }
+        }
+
+        appendResult(resultsFile, { row: row.row, id: row.id, ...outcome, timestamp: new Date().toISOString() });
+        recordAudit('batch', outcome.status, { trackData, error: outcome.error, detail: { file, row: row.row, id: row.id } });
+        if (outcome.status === 'ok') {
+            written++;
+            continue;
+        }
+
+        spinner.fail(`Card ${i + 1} of ${rows.length} (${row.id}): ${outcome.error}`);
+        if (outcome.suggestion) console.log(chalk.yellow(`  ${outcome.suggestion}`));
+        const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: 'What now?',
+            choices: [
+                { name: 'Retry this card', value: 'retry' },
+                { name: 'Skip to the next card', value: 'skip' },
+                { name: 'Stop (resume later)', value: 'stop' }
+            ]
+        }]);
+        if (action === 'retry') i--;
+        if (action === 'stop') break;
+    }
+
+    console.log(chalk.cyan(`\nWrote ${written} card(s) this run. Results in ${resultsFile}`));
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+};
+
 const handleClone = async () => {
     const readSpinner = ora('Waiting for source card swipe...').start();
     let sourceData = null;
+    let sourceCard = null;
 
     try {
         await runWithCancellation(async () => {
-            await device.sendControl(device.assemblePacket('enableRead'));
-            const result = await device.readData();
+            const result = await device.readSwipe();
             sourceData = result.trackData; // Use raw track data for exact clone
+            sourceCard = result;
             readSpinner.succeed('Source card read!');
+            recordAudit('read', 'ok', { trackData: sourceData, detail: { role: 'clone source' } });
         });
     } catch (error) {
-        if (error.message === 'Operation aborted by user') {
+        auditFailure('read', error);
+        if (error instanceof AbortError) {
             readSpinner.stop();
             return;
         }
-        readSpinner.fail(`Read failed: ${error.message}`);
+        readSpinner.fail(failureText('Read failed', error));
         await device.reset();
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
         return;
     }
 
+    await promptSaveToLibrary(sourceCard);
+
     console.log(chalk.yellow('\nRemove source card and prepare target card.\n'));
     await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter when ready to WRITE...' }]);
 
     const writeSpinner = ora('Please swipe target card to WRITE...').start();
     try {
         await runWithCancellation(async () => {
-            let success = false;
-            for (let i = 0; i < 3; i++) {
-                if (await device.writeRawData(sourceData)) {
-                    success = true;
-                    break;
-                }
-                writeSpinner.text = `Write failed, retrying (${i + 1}/3)... Swipe again.`;
-            }
-
-            if (success) {
-                writeSpinner.succeed('Card cloned successfully!');
-            } else {
-                writeSpinner.fail('Failed to write clone after multiple attempts.');
-            }
+            await writeCard(device, sourceData, { onRetry: showRetry(writeSpinner, 'Write') });
+            writeSpinner.succeed('Card cloned successfully!');
+            recordAudit('clone', 'ok', { trackData: sourceData });
         });
+        await verifyWithRewrite(sourceData, expectFromWrite(sourceData, sourceCard.isoTracks));
     } catch (error) {
-        if (error.message === 'Operation aborted by user') {
+        auditFailure('clone', error);
+        if (error instanceof AbortError) {
             writeSpinner.stop();
             return;
         }
-        writeSpinner.fail(`Write Error: ${error.message}`);
+        writeSpinner.fail(failureText('Write Error', error));
     } finally {
         await device.reset();
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
@@ -210,29 +1039,30 @@ const handleClone = async () => {
 
 const handleValidate = async () => {
     const masterSpinner = ora('Waiting for MASTER card swipe...').start();
-    let masterTracks = null;
+    let master = null;
 
     try {
         await runWithCancellation(async () => {
-            await device.sendControl(device.assemblePacket('enableRead'));
-            const { isoTracks } = await device.readData();
-            masterTracks = isoTracks;
+            master = await device.readSwipe();
+            const { isoTracks, trackInfo, trackData } = master;
             masterSpinner.succeed('Master card captured!');
+            recordAudit('read', 'ok', { trackData, detail: { role: 'validation master' } });
             
             console.log(boxen(
-                `Track 1: ${formatTrackData(masterTracks[0], 1)}\n` +
-                `Track 2: ${formatTrackData(masterTracks[1], 2)}\n` +
-                `Track 3: ${formatTrackData(masterTracks[2], 3)}`,
+                `Track 1: ${formatTrackData(isoTracks[0], 1, trackInfo[0])}\n` +
+                `Track 2: ${formatTrackData(isoTracks[1], 2, trackInfo[1])}\n` +
+                `Track 3: ${formatTrackData(isoTracks[2], 3, trackInfo[2])}`,
                 { title: 'Master Data', borderStyle: 'round', padding: 1, borderColor: 'yellow' }
             ));
         });
 
     } catch (error) {
-        if (error.message === 'Operation aborted by user') {
+        auditFailure('read', error);
+        if (error instanceof AbortError) {
             masterSpinner.stop();
             return;
         }
-        masterSpinner.fail(`Read failed: ${error.message}`);
+        masterSpinner.fail(failureText('Read failed', error));
         await device.reset();
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
         return;
@@ -241,34 +1071,31 @@ const handleValidate = async () => {
     console.log(chalk.cyan('\nNow swipe cards to validate against the Master. Press ESC to stop.\n'));
 
     const spinner = ora('Waiting for card swipe...').start();
+    const session = new ValidationSession();
 
     await runWithCancellation(async () => {
         while (true) {
             try {
-                await device.sendControl(device.assemblePacket('enableRead'));
-                
-                // Wait for data
-                const { isoTracks } = await device.readData();
+                // Wait for data; survives the reader being unplugged and plugged back in
+                const candidate = await device.readSwipe();
 
                 // Clear the "Waiting..." spinner so we can print the result cleanly
                 spinner.stop();
 
-                const isMatch = 
-                    isoTracks[0] === masterTracks[0] &&
-                    isoTracks[1] === masterTracks[1] &&
-                    isoTracks[2] === masterTracks[2];
+                // raw bits are compared, so two different corrupt cards do not match
+                const comparison = compareCards(master, candidate);
+                session.record(comparison);
+                recordAudit('validate', 'ok', { trackData: candidate.trackData, detail: { match: comparison.match } });
 
-                if (isMatch) {
+                if (comparison.match) {
                     spinner.succeed(chalk.green.bold('MATCH VALIDATED ✅'));
                 } else {
                     spinner.fail(chalk.red.bold('MISMATCH DETECTED ❌'));
-                    console.log(boxen(
-                        `Track 1: ${isoTracks[0] === masterTracks[0] ? chalk.green('MATCH') : chalk.red('MISMATCH')}\n` +
-                        `Track 2: ${isoTracks[1] === masterTracks[1] ? chalk.green('MATCH') : chalk.red('MISMATCH')}\n` +
-                        `Track 3: ${isoTracks[2] === masterTracks[2] ? chalk.green('MATCH') : chalk.red('MISMATCH')}`,
+                    console.log(boxen(renderComparison(comparison, { style: inspectStyle, showText: shownTrack, showBits: reveal }),
                         { title: 'Validation Details', borderStyle: 'round', padding: 1, borderColor: 'red' }
                     ));
                 }
+                console.log(chalk.dim(`  ${session.describeTally()}`));
                 
                 // Short delay to let the user see the result before "Waiting..." appears again
                 await new Promise(r => setTimeout(r, 1500));
@@ -276,13 +1103,16 @@ const handleValidate = async () => {
                 spinner.start('Waiting for card swipe...');
 
             } catch (error) {
-                if (error.message === 'Operation aborted by user') {
+                if (error instanceof AbortError) {
                     break;
                 }
                 
+                auditFailure('validate', error);
+                session.recordError(error);
                 // If we are still running, show error and restart spinner
                 spinner.fail(`Read error: ${error.message}`);
-                if (error.message.includes('disconnected')) {
+                console.log(chalk.dim(`  ${session.describeTally()}`));
+                if (error instanceof DisconnectedError) {
                     break;
                 }
                 await new Promise(r => setTimeout(r, 1000));
@@ -294,6 +1124,29 @@ const handleValidate = async () => {
     // Cleanup
     if (spinner.isSpinning) spinner.stop();
     try { await device.reset(); } catch (e) {}
+
+    if (session.swipes.length == 0) return;
+    console.log(boxen(session.describeTally(), { title: 'Validation Session', borderStyle: 'round', padding: 1, borderColor: 'cyan' }));
+    const { save } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'save',
+        message: 'Save a session report?',
+        default: false
+    }]);
+    if (!save) return;
+    const { file } = await inquirer.prompt([{
+        type: 'input',
+        name: 'file',
+        message: 'File:',
+        default: `validation-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`
+    }]);
+    try {
+        session.save(file);
+        console.log(chalk.green(`Saved ${file}`));
+    } catch (e) {
+        console.log(chalk.red(`Could not save ${file}: ${e.message}`));
+    }
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
 };
 
 const handleClear = async () => {
@@ -317,66 +1170,316 @@ const handleClear = async () => {
 
         await runWithCancellation(async () => {
             spinner.text = 'Swipe card to ERASE...';
-            
-            let success = false;
-            for (let i = 0; i < 3; i++) {
-                if (await device.writeRawData(emptyEncoded)) {
-                    success = true;
-                    break;
-                }
-                spinner.text = `Erase failed, retrying (${i + 1}/3)... Swipe again.`;
-            }
-
-            if (success) {
-                spinner.succeed('Card erased successfully!');
-            } else {
-                spinner.fail('Failed to erase after multiple attempts.');
-            }
+            await writeCard(device, emptyEncoded, { onRetry: showRetry(spinner, 'Erase') });
+            spinner.succeed('Card erased successfully!');
+            recordAudit('erase', 'ok');
         });
+        await verifyWithRewrite(emptyEncoded, expectFromWrite(emptyEncoded));
     } catch (error) {
-        if (error.message === 'Operation aborted by user') {
+        auditFailure('erase', error);
+        if (error instanceof AbortError) {
             spinner.stop();
             return;
         }
-        spinner.fail(`Erase Error: ${error.message}`);
+        spinner.fail(failureText('Erase Error', error));
     } finally {
         await device.reset();
         await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
     }
 };
 
-const mainMenu = async () => {
+const formatSettings = (settings) => {
+    return settings.tracks.map((track, i) => `Track ${i + 1}: ${track.bpi} BPI, ${track.bpc} BPC, ` +
+        describeEncoding(resolveEncoding(track.encoding))).join('\n') + '\n' +
+        `Coercivity: ${settings.isHiCo ? 'HiCo' : 'LoCo'}\n` +
+        `Leading zeros: ${settings.leadingZero210} (210 BPI), ${settings.leadingZero75} (75 BPI)`;
+};
+
+const handleSettings = async () => {
+    const current = device.config;
+    console.log('\n' + boxen(formatSettings(current), { title: 'Device Settings', borderStyle: 'round', padding: 1 }));
+
+    const leadingZeroPrompt = (name, message) => ({
+        type: 'number',
+        name,
+        message,
+        default: current[name],
+        validate: value => (Number.isInteger(value) && value >= 0 && value <= 255) || 'Enter a whole number between 0 and 255',
+    });
+    const paths = configPaths();
+
+    const answers = await inquirer.prompt([
+        ...current.tracks.map((track, i) => ({
+            type: 'list',
+            name: `bpi${i}`,
+            message: `Track ${i + 1} BPI:`,
+            choices: validBPI.map(bpi => ({ name: `${bpi}`, value: bpi })),
+            default: track.bpi,
+        })),
+        ...current.tracks.map((track, i) => ({
+            type: 'list',
+            name: `bpc${i}`,
+            message: `Track ${i + 1} BPC:`,
+            choices: validBPC.map(bpc => ({ name: `${bpc}`, value: bpc })),
+            default: track.bpc,
+        })),
+        ...current.tracks.flatMap((track, i) => [{
+            type: 'list',
+            name: `encoding${i}`,
+            message: `Track ${i + 1} encoding:`,
+            choices: [
+                { name: 'ISO 7-bit (alphanumeric)', value: 'iso7' },
+                { name: 'ISO 5-bit (numeric)', value: 'iso5' },
+                { name: '8-bit binary (hex)', value: 'binary' },
+                { name: 'Custom alphabet (JSON file)', value: 'custom' },
+            ],
+            default: ['iso7', 'iso5', 'binary'].includes(track.encoding) ? track.encoding : 'custom',
+        }, {
+            type: 'input',
+            name: `encodingFile${i}`,
+            message: `Track ${i + 1} encoding file:`,
+            default: ['iso7', 'iso5', 'binary'].includes(track.encoding) ? undefined : track.encoding,
+            when: answers => answers[`encoding${i}`] === 'custom',
+            validate: input => {
+                try {
+                    loadEncoding(input);
+                    return /\.json$/i.test(input) || 'Encoding files must end in .json';
+                } catch (e) {
+                    return e.message;
+                }
+            },
+        }]),
+        {
+            type: 'list',
+            name: 'isHiCo',
+            message: 'Coercivity:',
+            choices: [{ name: 'HiCo', value: true }, { name: 'LoCo', value: false }],
+            default: current.isHiCo,
+        },
+        leadingZeroPrompt('leadingZero210', 'Leading zeros (210 BPI tracks):'),
+        leadingZeroPrompt('leadingZero75', 'Leading zeros (75 BPI tracks):'),
+        {
+            type: 'list',
+            name: 'scope',
+            message: 'Keep these settings?',
+            choices: [
+                { name: 'This session only', value: null },
+                { name: `Save for this user (${paths.user})`, value: 'user' },
+                { name: `Save for this project (${paths.project})`, value: 'project' },
+            ],
+        }
+    ]);
+
+    const settings = {
+        tracks: current.tracks.map((track, i) => ({
+            bpc: answers[`bpc${i}`],
+            bpi: answers[`bpi${i}`],
+            encoding: answers[`encoding${i}`] === 'custom' ? answers[`encodingFile${i}`] : answers[`encoding${i}`],
+        })),
+        leadingZero210: answers.leadingZero210,
+        leadingZero75: answers.leadingZero75,
+        isHiCo: answers.isHiCo,
+    };
+
+    const spinner = ora('Applying settings...').start();
+    try {
+        const report = await device.configure(settings);
+        if (report.every(step => step.acknowledged)) {
+            spinner.succeed('Settings applied!');
+        } else {
+            spinner.warn('Some settings were not acknowledged by the device.');
+        }
+        console.log(report.map(step =>
+            `  ${step.acknowledged ? chalk.green('✔') : chalk.red('✖')} ${step.setting}`
+        ).join('\n'));
+
+        if (answers.scope) {
+            const file = saveConfig('device', settings, answers.scope);
+            console.log(chalk.dim(`\nSaved to ${file}`));
+        }
+    } catch (error) {
+        spinner.fail(`Failed to apply settings: ${error.message}`);
+    } finally {
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    }
+};
+
+const formatDeviceInfo = (info) => {
+    const value = (v) => v != null ? chalk.green(v) : chalk.gray('No reply');
+    const parameters = info.parameters && info.parameters.length > 0
+        ? info.parameters.map(p => p.hex).join(' ')
+        : null;
+    return `Firmware:   ${value(info.firmware)}\n` +
+        `Model:      ${value(info.model && info.model.name)}\n` +
+        `Voltage:    ${value(info.voltage && `${info.voltage.volts.toFixed(2)} V`)}\n` +
+        `Parameters: ${value(parameters)}`;
+};
+
+const handleDiagnostics = async () => {
     while (true) {
-        displayBanner();
-        
-        if (!device.connected) {
-            console.log(chalk.yellow('Connecting to device...'));
+        const spinner = ora('Querying device...').start();
+        try {
+            const info = await getDeviceInfo(device);
+            spinner.stop();
+            console.log('\n' + boxen(formatDeviceInfo(info), { title: 'Device Info', borderStyle: 'round', padding: 1 }));
+        } catch (error) {
+            spinner.fail(`Query failed: ${error.message}`);
+        }
+
+        const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: 'Diagnostics:',
+            choices: [
+                { name: 'Run self-test', value: 'selftest' },
+                { name: 'Power off (idle sleep)', value: 'poweroff' },
+                { name: 'Back', value: 'back' },
+            ]
+        }]);
+
+        if (action === 'back') return;
+
+        if (action === 'poweroff') {
+            const confirm = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'sure',
+                message: 'Put the reader to sleep? It will be woken up and re-initialized on the next operation.',
+                default: false
+            }]);
+            if (!confirm.sure) continue;
             try {
-                await device.connect();
-                console.log(chalk.green('Device Connected!'));
-                await new Promise(r => setTimeout(r, 1000));
-            } catch (e) {
-                if (e.message === 'ACCESS_DENIED') {
-                    console.log(chalk.red('\nERROR: Could not access device.'));
-                    console.log(chalk.yellow('This typically means Windows has locked the device driver.'));
-                    console.log(boxen(
-                        'SOLUTION: You must install the WinUSB driver using Zadig.\n' +
-                        '1. Download Zadig from https://zadig.akeo.ie/\n' +
-                        '2. Open Zadig, select "Options" -> "List All Devices"\n' +
-                        '3. Select "MSR605X" (or USB Input Device 0801:0003)\n' +
-                        '4. Ensure target driver is "WinUSB" and click "Replace Driver"\n' +
-                        '5. Unplug and replug the device.',
-                        { padding: 1, borderStyle: 'double', borderColor: 'yellow' }
-                    ));
-                    // Wait longer before retrying to let user read
-                    await new Promise(r => setTimeout(r, 10000));
-                } else {
-                    console.log(chalk.red(`Failed to connect: ${e.message}`));
-                    console.log(chalk.dim('Retrying in 2 seconds...'));
-                    await new Promise(r => setTimeout(r, 2000));
-                }
-                continue;
+                await device.powerOff();
+                readerAsleep = true;
+                console.log(chalk.green('Reader powered off.'));
+            } catch (error) {
+                console.log(chalk.red(`Power off failed: ${error.message}`));
             }
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+            return;
+        }
+
+        const testSpinner = ora('Running self-test, watch the LEDs...').start();
+        try {
+            const results = await runSelfTest(device);
+            testSpinner.stop();
+            const { ledsOk } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'ledsOk',
+                message: 'Did the LED flash red and then green?',
+                default: true
+            }]);
+            const led = results.find(r => r.test === 'LEDs');
+            if (led && led.passed && !ledsOk) {
+                led.passed = false;
+                led.detail = 'operator did not see the LEDs change';
+            }
+            console.log('\n' + boxen(results.map(r =>
+                `${r.passed ? chalk.green('PASS') : chalk.red('FAIL')}  ${r.test} ${chalk.dim(`(${r.detail})`)}`
+            ).join('\n'), { title: 'Self-Test', borderStyle: 'round', padding: 1 }));
+            if (results.every(r => r.passed)) {
+                console.log(chalk.dim('The reader looks healthy; repeated read errors point at the card.'));
+            } else {
+                console.log(chalk.yellow('The reader failed a self-test; check the cable and power before blaming the card.'));
+            }
+        } catch (error) {
+            testSpinner.fail(`Self-test failed: ${error.message}`);
+        }
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    }
+};
+
+const describeReader = reader => reader.id + (reader.serial ? ` (serial ${reader.serial})` : '');
+
+const handleSelectReader = async () => {
+    let readers;
+    try {
+        readers = await listReaders({ simulate: cliArgs.options.simulate === true });
+    } catch (error) {
+        console.log(chalk.red(`Could not list readers: ${error.message}`));
+        readers = [];
+    }
+    if (readers.length == 0) {
+        console.log(chalk.yellow('No MSR605X readers found.'));
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const { id } = await inquirer.prompt([{
+        type: 'list',
+        name: 'id',
+        message: 'Use which reader?',
+        choices: [
+            ...readers.map(reader => ({
+                name: describeReader(reader) + (reader.id === device.transport.id ? chalk.dim(' (in use)') : ''),
+                value: reader.id
+            })),
+            new inquirer.Separator(),
+            { name: 'Back', value: null }
+        ],
+        default: device.transport.id
+    }]);
+    if (!id || id === device.transport.id) return;
+
+    device.disconnect();
+    readerAsleep = false;
+    // the trace so far stays in its file, the new reader gets its own
+    device = createDevice(id, cliArgs.options.trace && traceFileFor(cliArgs.options.trace, id));
+};
+
+// Connects (or wakes) the reader; false when that failed and the menu should
+// try again
+const connectReader = async () => {
+    console.log(chalk.yellow(readerAsleep ? 'Waking up the reader...' : 'Connecting to device...'));
+    try {
+        await device.connect();
+        readerAsleep = false;
+        console.log(chalk.green('Device Connected!'));
+        await new Promise(r => setTimeout(r, 1000));
+        return true;
+    } catch (e) {
+        if (e.message === 'ACCESS_DENIED') {
+            console.log(chalk.red('\nERROR: Could not access device.'));
+            console.log(chalk.yellow('This typically means Windows has locked the device driver.'));
+            console.log(boxen(
+                'SOLUTION: You must install the WinUSB driver using Zadig.\n' +
+                '1. Download Zadig from https://zadig.akeo.ie/\n' +
+                '2. Open Zadig, select "Options" -> "List All Devices"\n' +
+                '3. Select "MSR605X" (or USB Input Device 0801:0003)\n' +
+                '4. Ensure target driver is "WinUSB" and click "Replace Driver"\n' +
+                '5. Unplug and replug the device.',
+                { padding: 1, borderStyle: 'double', borderColor: 'yellow' }
+            ));
+            // Wait longer before retrying to let user read
+            await new Promise(r => setTimeout(r, 10000));
+        } else {
+            console.log(chalk.red(`Failed to connect: ${e.message}`));
+            console.log(chalk.dim('Retrying in 2 seconds...'));
+            await new Promise(r => setTimeout(r, 2000));
+        }
+        return false;
+    }
+};
+
+const mainMenu = async () => {
+    // with several readers attached and none picked, ask before connecting
+    if (!readerSelector && !cliArgs.options.simulate && !cliArgs.options.replay) {
+        const readers = await listReaders().catch(() => []);
+        if (readers.length > 1) await handleSelectReader();
+    }
+
+    while (true) {
+        displayBanner();
+
+        if (device.reconnecting) {
+            console.log(chalk.yellow('Reader unplugged, waiting for it to be plugged back in...'));
+            await device.waitForReconnect().catch(() => {});
+        }
+
+        // a reader put to sleep stays asleep until an operation needs it
+        if (readerAsleep) {
+            console.log(chalk.dim('The reader is asleep, it wakes up for the next operation.'));
+        } else if (!device.connected && !(await connectReader())) {
+            continue;
         }
 
         const { action } = await inquirer.prompt([
@@ -387,9 +1490,17 @@ const mainMenu = async () => {
                 choices: [
                     { name: '📖  Read Card', value: 'read' },
                     { name: '✍️   Write Card', value: 'write' },
+                    { name: '🔢  Write Raw Data', value: 'write_raw' },
+                    { name: '🗂️   Batch Encode', value: 'batch' },
                     { name: '👯  Clone Card', value: 'clone' },
                     { name: '✅  Validate Cards', value: 'validate' },
+                    { name: '🔬  Inspect Card', value: 'inspect' },
+                    { name: '📚  Card Library', value: 'library' },
+                    { name: '📥  Import Card Dump', value: 'import' },
                     { name: '🧹  Clear Card', value: 'clear' },
+                    { name: '🩺  Device Info & Diagnostics', value: 'diagnostics' },
+                    { name: '🔌  Switch Reader', value: 'reader' },
+                    { name: '⚙️   Settings', value: 'settings' },
                     new inquirer.Separator(),
                     { name: '❌  Exit', value: 'exit' }
                 ]
@@ -401,6 +1512,10 @@ const mainMenu = async () => {
             process.exit(0);
         }
 
+        if (readerAsleep && action !== 'reader' && !(await connectReader())) {
+            continue;
+        }
+
         switch (action) {
             case 'read':
                 await handleRead();
@@ -408,21 +1523,53 @@ const mainMenu = async () => {
             case 'write':
                 await handleWrite();
                 break;
+            case 'write_raw':
+                await handleWriteRaw();
+                break;
+            case 'batch':
+                await handleBatch();
+                break;
             case 'clone':
                 await handleClone();
                 break;
             case 'validate':
                 await handleValidate();
                 break;
+            case 'inspect':
+                await handleInspect();
+                break;
+            case 'library':
+                await handleLibrary();
+                break;
+            case 'import':
+                await handleImport();
+                break;
             case 'clear':
                 await handleClear();
                 break;
+            case 'settings':
+                await handleSettings();
+                break;
+            case 'diagnostics':
+                await handleDiagnostics();
+                break;
+            case 'reader':
+                await handleSelectReader();
+                break;
         }
     }
 };
 
+// every way out goes through process.exit; let go of the reader and close
+// the trace file, if there is one
+process.on('exit', () => {
+    if (device) device.disconnect();
+});
+
 // Handle Ctrl+C gracefully
 process.on('SIGINT', async () => {
+    // a command that stops cleanly on Ctrl+C (read-cycle) is listening for it too
+    if (process.listenerCount('SIGINT') > 1) return;
     if (device) {
         device.cancel();
         try { await device.reset(); } catch (e) {}
@@ -434,6 +1581,12 @@ process.on('SIGINT', async () => {
 // Start the application
 (async () => {
     try {
+        if (cliArgs.command && !cliArgs.options.help && selectsSeveralReaders(cliArgs.options.device)) {
+            process.exit(await runCommandOnReaders(cliArgs, config));
+        }
+        if (cliArgs.command || cliArgs.options.help) {
+            process.exit(await runCommand(device, cliArgs, config));
+        }
         await mainMenu();
     } catch (e) {
         console.error('Fatal Error:', e);
@@ -1,13 +1,8 @@
 
-const usb = require('usb');
-const os = require('os');
+const EventEmitter = require('events');
 const { 
     commands, 
-    deviceConfig, 
-    track0ISOAlphabet, 
-    track1ISOAlphabet, 
-    track0ISOAlphabetInverted, 
-    track1ISOAlphabetInverted 
+    deviceConfig
 } = require('./constants');
 const { 
     lrc, 
@@ -16,112 +11,203 @@ const {
     bitStream, 
     sleep 
 } = require('./utils');
-
-class MsrDevice {
-    constructor() {
-        this.device = null;
-        this.interface = null;
+const { decodeTrack } = require('./trackDecoder');
+const { DeviceError, AbortError, TimeoutError, DisconnectedError, statusError, isStatusReply } = require('./errors');
+const UsbTransport = require('./transports/UsbTransport');
+const { cloneDeviceConfig } = require('./config');
+const { resolveTrackFormats } = require('./encodings');
+
+// Events: 'connected' after every successful connect(), 'disconnected' when
+// the reader is unplugged, and 'reconnected' once it has been brought back
+// automatically (with options.autoReconnect).
+class MsrDevice extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.transport = options.transport || new UsbTransport();
+        this.config = cloneDeviceConfig(options.config || deviceConfig);
+        this.trackFormats = resolveTrackFormats(this.config);
         this.reader = null;
         this.controlChain = Promise.resolve();
         this.connected = false;
         this.isCancelling = false;
+        this.firmwareVersion = null;
+        // reconnect and re-initialize by itself after the reader is unplugged and plugged back in
+        this.autoReconnect = options.autoReconnect === true;
+        this.reconnectInterval = options.reconnectInterval || 2000;
+        this.reconnecting = null;
+        this.reconnectWaiters = [];
+        this.stopped = false;
     }
 
     async connect() {
-        const device = usb.findByIds(0x0801, 0x0003);
+        this.release();
+        this.stopped = false;
 
-        if (!device) {
-            throw new Error('Device not found. Is the MSR605X connected?');
-        }
+        await this.transport.open();
+        this.connected = true;
+
+        this.reader = this.createPacketReader(this.transport);
+        await sleep(100);
 
         try {
-            device.open();
+            await this.sendControl(this.assemblePacket('reset'));
         } catch (e) {
-            if (e.message.includes('LIBUSB_ERROR_ACCESS')) {
-                // Return a specific error object or throw with a clear message that the UI can handle
-                throw new Error('ACCESS_DENIED');
-            }
-            throw e;
+            // Ignore reset failure on init
         }
+        
+        await this.initializeDevice();
+        this.emit('connected');
+    }
 
-        const [iface] = device.interfaces;
-
-        if (os.platform() !== 'win32') {
-            try {
-                if (iface.isKernelDriverActive()) {
-                    iface.detachKernelDriver();
-                }
-            } catch (e) {
-                // Ignore
-            }
+    release() {
+        if (this.reader) {
+            this.reader.close();
+            this.reader = null;
+            this.transport.close();
         }
+        this.connected = false;
+    }
 
-        iface.claim();
-        this.device = device;
-        this.interface = iface;
-        this.connected = true;
+    // Releases the reader and stops any automatic reconnect, and lets the
+    // transport free what it holds (a trace file); connect() opens it again
+    disconnect() {
+        this.stopped = true;
+        this.release();
+        if (typeof this.transport.dispose == 'function') this.transport.dispose();
+    }
 
-        const inEndpoint = iface.endpoints.find(ep => ep.direction === 'in');
-        if (!inEndpoint) {
-            throw new Error('No IN endpoint found on device');
+    onUnplugged() {
+        this.emit('disconnected');
+        if (this.autoReconnect) {
+            this.startReconnect();
         }
+    }
 
-        this.reader = this.createPacketReader(inEndpoint);
-        await sleep(100);
+    // Waits for the reader to be plugged back in, then connects and
+    // initializes it again. Returns the running attempt if there is one.
+    startReconnect() {
+        if (this.reconnecting) return this.reconnecting;
+        this.reconnecting = (async () => {
+            while (!this.stopped) {
+                await this.transport.waitForAttach(this.reconnectInterval);
+                if (this.stopped) break;
+                try {
+                    await this.connect();
+                } catch (e) {
+                    this.release();
+                    continue;
+                }
+                this.reconnecting = null;
+                this.emit('reconnected');
+                this.reconnectWaiters.splice(0).forEach(waiter => waiter.resolve());
+                return;
+            }
+            this.reconnecting = null;
+        })();
+        return this.reconnecting;
+    }
 
-        try {
-            await this.sendControl(this.assemblePacket('reset'));
-        } catch (e) {
-            // Ignore reset failure on init
+    // Resolves once the reader is connected again; cancel() and the timeout reject it
+    waitForReconnect(timeout = 0) {
+        if (this.connected) return Promise.resolve();
+        if (this.isCancelling) return Promise.reject(new AbortError());
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const waiter = {
+                resolve: () => { clearTimeout(timer); resolve(); },
+                reject: (error) => { clearTimeout(timer); reject(error); },
+            };
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    this.reconnectWaiters = this.reconnectWaiters.filter(w => w !== waiter);
+                    reject(new TimeoutError());
+                }, timeout);
+            }
+            this.reconnectWaiters.push(waiter);
+            this.startReconnect();
+        });
+    }
+
+    // Runs fn, and when the reader is unplugged part way through, waits for it
+    // to come back and runs fn again. Without autoReconnect the error is thrown.
+    // fn gets the milliseconds left of timeout (0 for none), which covers the
+    // time spent waiting for the reader too.
+    async retryAfterReconnect(fn, { timeout = 0 } = {}) {
+        const deadline = timeout > 0 ? Date.now() + timeout : null;
+        const remaining = () => deadline ? Math.max(1, deadline - Date.now()) : 0;
+        for (;;) {
+            try {
+                return await fn(remaining());
+            } catch (e) {
+                if (!this.autoReconnect || this.connected || e instanceof AbortError || e instanceof DeviceError) throw e;
+                await this.waitForReconnect(remaining());
+            }
         }
-        
-        await this.initializeDevice();
+    }
+
+    // Arms the reader and waits for a card; with autoReconnect an unplug while
+    // waiting is survived and the reader is armed again once it is back
+    readSwipe(timeout = 0) {
+        return this.retryAfterReconnect(async (remaining) => {
+            await this.sendControl(this.assemblePacket('enableRead'));
+            return this.readData(remaining);
+        }, { timeout });
     }
 
     async initializeDevice() {
-        // Skip firmware check to save time or handle it silently
         await this.sendControl(this.assemblePacket('getFirmwareVersion'));
-        await this.readReturn(); // Consume response
+        const firmware = await this.readReturn();
+        this.firmwareVersion = firmware ? Buffer.from(firmware).toString('ascii') : null;
         
         await this.sendControl(this.assemblePacket('disableRead'));
         await this.readSuccess();
 
-        let bpc = deviceConfig.tracks.map(track => track.bpc);
-        await this.sendControl(this.assemblePacket('setBPC', bpc));
-        await this.readSuccess();
-        await this.reader.drain();
-
-        await this.sendControl(this.assemblePacket(deviceConfig.isHiCo ? 'setHiCo' : 'setLoCo'));
-        await this.readSuccess();
-        await this.reader.drain();
-
-        await this.sendControl(this.assemblePacket('setBPI', [deviceConfig.tracks[0].bpi == 210 ? 0xa1 : 0xa0]));
-        await this.readSuccess();
-        await this.reader.drain();
-
-        await this.sendControl(this.assemblePacket('setBPI', [deviceConfig.tracks[1].bpi == 210 ? 0xc1 : 0xc0]));
-        await this.readSuccess();
-        await this.reader.drain();
+        await this.applySettings();
+    }
 
-        await this.sendControl(this.assemblePacket('setBPI', [deviceConfig.tracks[2].bpi == 210 ? 0xd2 : 0x4b]));
-        await this.readSuccess();
-        await this.reader.drain();
+    // Sends the BPC, coercivity, BPI and leading zero settings in this.config and
+    // reports which of them the device acknowledged.
+    async applySettings() {
+        const config = this.config;
+        const steps = [
+            ['BPC', 'setBPC', config.tracks.map(track => track.bpc)],
+            [config.isHiCo ? 'HiCo' : 'LoCo', config.isHiCo ? 'setHiCo' : 'setLoCo', []],
+            ['Track 1 BPI', 'setBPI', [config.tracks[0].bpi == 210 ? 0xa1 : 0xa0]],
+            ['Track 2 BPI', 'setBPI', [config.tracks[1].bpi == 210 ? 0xc1 : 0xc0]],
+            ['Track 3 BPI', 'setBPI', [config.tracks[2].bpi == 210 ? 0xd2 : 0x4b]],
+            ['Leading zeros', 'setLeadingZeros', [config.leadingZero210, config.leadingZero75]],
+        ];
+
+        const report = [];
+        for (const [setting, opcode, data] of steps) {
+            await this.sendControl(this.assemblePacket(opcode, data));
+            let acknowledged;
+            try {
+                acknowledged = await this.readSuccess();
+            } catch (e) {
+                if (!(e instanceof DeviceError)) throw e;
+                acknowledged = false;
+            }
+            await this.reader.drain();
+            report.push({ setting, acknowledged });
+        }
+        return report;
+    }
 
-        await this.sendControl(this.assemblePacket('setLeadingZeros', [deviceConfig.leadingZero210, deviceConfig.leadingZero75]));
-        await this.readSuccess();
-        await this.reader.drain();
+    async configure(config) {
+        const trackFormats = resolveTrackFormats(config);
+        this.config = cloneDeviceConfig(config);
+        this.trackFormats = trackFormats;
+        return this.applySettings();
     }
 
-    createPacketReader(endpoint) {
-        const packetSize = endpoint.descriptor.wMaxPacketSize || 64;
-        endpoint.startPoll(1, packetSize);
-        
+    createPacketReader(transport) {
         let currentWaiters = [];
         let incoming = [];
         let currentData = [];
         let errorState = null;
 
-        endpoint.on('data', (data) => {
+        const onData = (data) => {
             let head = data[0];
             if ((head & 0x80) != 0x80 && currentData.length == 0) {
                 const err = new Error('invalid header byte received');
@@ -142,20 +228,25 @@ class MsrDevice {
                 incoming.push(currentData);
             }
             currentData = [];
-        });
+        };
 
-        endpoint.on('error', (error) => {
+        const onError = (error) => {
             errorState = error;
             currentWaiters.forEach(w => w.reject(error));
             currentWaiters = [];
-        });
+        };
 
-        endpoint.on('end', () => {
+        const onEnd = () => {
             this.connected = false;
-            errorState = new Error('Device disconnected');
+            errorState = new DisconnectedError();
             currentWaiters.forEach(w => w.reject(errorState));
             currentWaiters = [];
-        });
+            this.onUnplugged();
+        };
+
+        transport.on('data', onData);
+        transport.on('error', onError);
+        transport.on('end', onEnd);
 
         return {
             next: (timeout = 0) => {
@@ -165,7 +256,7 @@ class MsrDevice {
                         if (incoming.length > 0) {
                             return resolve(incoming.shift());
                         }
-                        if (!this.connected) return reject(new Error('Device disconnected'));
+                        if (!this.connected) return reject(new DisconnectedError());
                         
                         let timer = null;
                         const wrappedResolve = (data) => {
@@ -185,7 +276,7 @@ class MsrDevice {
                                 const idx = currentWaiters.indexOf(waiter);
                                 if (idx !== -1) {
                                     currentWaiters.splice(idx, 1);
-                                    wrappedReject(new Error('Timeout waiting for packet'));
+                                    wrappedReject(new TimeoutError());
                                 }
                             }, timeout);
                         }
@@ -224,25 +315,22 @@ class MsrDevice {
                     currentWaiters.forEach(w => w.reject(reason));
                     currentWaiters = [];
                 }
+            },
+            close: () => {
+                transport.removeListener('data', onData);
+                transport.removeListener('error', onError);
+                transport.removeListener('end', onEnd);
             }
         };
     }
 
     sendControlChunk(packet) {
-        return new Promise((resolve, reject) => {
-            let buffer = packet;
-            if (packet.length < 64) {
-                buffer = Buffer.alloc(64);
-                packet.copy(buffer);
-            }
-
-            this.device.controlTransfer(0x21, 9, 0x0300, 0, buffer, (error, data) => {
-                if (error != null) {
-                    reject(error);
-                }
-                resolve(data);
-            });
-        });
+        let buffer = packet;
+        if (packet.length < 64) {
+            buffer = Buffer.alloc(64);
+            packet.copy(buffer);
+        }
+        return this.transport.sendChunk(buffer);
     }
 
     async _sendControl(packet) {
@@ -272,8 +360,10 @@ class MsrDevice {
         return [...opcodeEncoded, ...data];
     }
 
+    // true on an OK status, false if the device stays silent; error statuses
+    // are thrown as the matching DeviceError
     async readSuccess() {
-        if (this.isCancelling) throw new Error('Operation aborted by user');
+        if (this.isCancelling) throw new AbortError();
         const startTime = Date.now();
         while (Date.now() - startTime < 3000) {
             try {
@@ -282,8 +372,11 @@ class MsrDevice {
                 if (received.length >= 2 && received[0] == 0x1B && received[1] == 0x30) {
                     return true;
                 }
+                if (isStatusReply(received)) {
+                    throw statusError(received[1]);
+                }
             } catch (e) {
-                if (e.message === 'Operation aborted by user') throw e;
+                if (e instanceof AbortError || e instanceof DeviceError || !this.connected) throw e;
             }
         }
         try { await this.sendControl(this.assemblePacket('disableRead')); } catch (err) {}
@@ -291,27 +384,45 @@ class MsrDevice {
     }
 
     async readReturn() {
-        if (this.isCancelling) throw new Error('Operation aborted by user');
+        if (this.isCancelling) throw new AbortError();
         const startTime = Date.now();
         while (Date.now() - startTime < 3000) {
             try {
                 const received = await this.reader.next(500).value;
                 if (!received) continue;
+                if (isStatusReply(received)) throw statusError(received[1]);
                 if (received.length == 2 && received[0] == 0x1B) continue;
                 if (received.length >= 2 && received[0] == 0x1B && received[1] != 0x30) {
                     return received.slice(1);
                 }
             } catch (e) {
-                if (e.message === 'Operation aborted by user') throw e;
+                if (e instanceof AbortError || e instanceof DeviceError || !this.connected) throw e;
             }
         }
         try { await this.sendControl(this.assemblePacket('disableRead')); } catch (err) {}
         return null;
     }
 
-    async readData() {
-        if (this.isCancelling) throw new Error('Operation aborted by user');
-        const received = await this.reader.next().value;
+    // Sends a command and returns the next packet as-is, or null if the device
+    // stays silent. Unlike readReturn this keeps bare status replies.
+    async query(opcode, data = [], timeout = 1000) {
+        if (this.isCancelling) throw new AbortError();
+        this.reader.flush();
+        await this.sendControl(this.assemblePacket(opcode, data));
+        try {
+            return await this.reader.next(timeout).value;
+        } catch (e) {
+            if (e instanceof TimeoutError) return null;
+            throw e;
+        }
+    }
+
+    async readData(timeout = 0) {
+        if (this.isCancelling) throw new AbortError();
+        const received = await this.reader.next(timeout).value;
+        if (received && isStatusReply(received)) {
+            throw statusError(received[1]);
+        }
         if (received == null || received[0] != 0x1B || received[1] != 0x73) {
             throw new Error('malformed response from device');
         }
@@ -327,40 +438,26 @@ class MsrDevice {
             trackData.push(received.slice(rIndex, rIndex + trackLength));
             rIndex += trackLength;
         }
-
-        const isoDecoded = [[], [], []];
-        let track0Stream = bitStream(trackData[0]);
-        let temp = null;
-        while ((temp = track0Stream.read(7)) != null) {
-            isoDecoded[0].push(track0ISOAlphabet[temp.toString()] || '~');
-        }
-        let track1Stream = bitStream(trackData[1]);
-        while ((temp = track1Stream.read(5)) != null) {
-            isoDecoded[1].push(track1ISOAlphabet[temp.toString()] || '~');
-        }
-        let track2Stream = bitStream(trackData[2]);
-        while ((temp = track2Stream.read(5)) != null) {
-            isoDecoded[2].push(track1ISOAlphabet[temp.toString()] || '~');
-        }
-        let isoTracks = isoDecoded.map(track => track.join(''));
-
-        for (let i = 0; i < isoTracks.length; ++i) {
-            let endIndex = isoTracks[i].indexOf('?');
-            let startIndex = isoTracks[i].indexOf(';');
-            if (startIndex < 0 || endIndex < 0) {
-                isoTracks[i] = isoTracks[i].length > 0 ? 'Corrupt Data' : 'No Data';
-            } else {
-                isoTracks[i] = isoTracks[i].slice(startIndex, endIndex + 1);
-                if (isoTracks[i].includes('~')) {
-                    isoTracks[i] = 'Corrupt Data';
-                }
+        // the track blocks end in 3F 1C and the status of the read: a bad swipe
+        // still returns whatever data the reader got
+        if (received[rIndex] == 0x3F && received[rIndex + 1] == 0x1C && received[rIndex + 2] == 0x1B) {
+            const status = received[rIndex + 3];
+            if (status !== undefined && status != 0x30) {
+                throw statusError(status) || new Error(`unknown read status 0x${status.toString(16)} from device`);
             }
         }
-        return { isoTracks, trackData };
+
+        const trackInfo = trackData.map((track, i) => decodeTrack(track, this.trackFormats[i]));
+        const isoTracks = trackInfo.map(info => {
+            if (info.status === 'empty') return 'No Data';
+            if (info.status === 'corrupt') return 'Corrupt Data';
+            return info.text;
+        });
+        return { isoTracks, trackData, trackInfo };
     }
 
     async writeRawData(data) {
-        if (this.isCancelling) throw new Error('Operation aborted by user');
+        if (this.isCancelling) throw new AbortError();
         const tracks = data.map(track => track.map(octet => {
             let bits = [octet & 0x80, octet & 0x40, octet & 0x20, octet & 0x10, octet & 0x08, octet & 0x04, octet & 0x02, octet & 0x01].map(bit => bit != 0);
             let value = 0;
@@ -380,26 +477,57 @@ class MsrDevice {
         return success;
     }
 
-    async encodeISO(map, length, track) {
+    async eraseTracks(tracks = [1, 2, 3]) {
+        if (this.isCancelling) throw new AbortError();
+        let select = tracks.reduce((acc, track) => acc | (1 << (track - 1)), 0);
+        if (select == 0x01) {
+            // track 1 on its own is selected with 0x00
+            select = 0x00;
+        }
+        await this.sendControl(this.assemblePacket('erase', [select]));
+        return this.readSuccess();
+    }
+
+    async encodeISO(map, length, track, { parity = 'odd', withLrc = true } = {}) {
         const output = [];
         const outStream = bitStream(output);
-        track.split('').map(c => map[c] || c).forEach(c => {
+        track.split('').map(c => map[c] !== undefined ? map[c] : c).forEach(c => {
             if (typeof c == 'string') {
                 throw new Error('invalid character in track: ' + c);
             }
             outStream.write(length, c);
         });
-        if (track.length > 0) {
-            outStream.write(length, lrc(length, map, track.split('')));
+        if (track.length > 0 && withLrc) {
+            outStream.write(length, lrc(length, map, track.split(''), parity));
         }
         return output;
     }
 
+    // Encodes text in one of the track formats from lib/encodings; binary
+    // tracks take hex
+    async encodeTrack(format, text) {
+        if (format.type === 'binary') {
+            const hex = text.replace(/\s+/g, '');
+            if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+                throw new Error('binary track data must be hex: ' + text);
+            }
+            return parsePacket(hex);
+        }
+        return this.encodeISO(format.inverted, format.bits, text, { parity: format.parity, withLrc: format.lrc });
+    }
+
+    async powerOff() {
+        await this.sendControl(this.assemblePacket('powerOff'));
+        // the reader has to be initialized again once it wakes up
+        this.connected = false;
+    }
+
     cancel() {
         this.isCancelling = true;
         if (this.reader) {
-            this.reader.cancel(new Error('Operation aborted by user'));
+            this.reader.cancel(new AbortError());
         }
+        this.reconnectWaiters.splice(0).forEach(waiter => waiter.reject(new AbortError()));
     }
 
     async reset() {
@@ -0,0 +1,237 @@
+const EventEmitter = require('events');
+const MsrDevice = require('./MsrDevice');
+const { createTransport } = require('./transports');
+const {
+    encodeIsoTracks,
+    parseHexTrack,
+    checkTrackBudget,
+    readCard,
+    writeCard,
+    eraseCard,
+    verifyWrite
+} = require('./operations');
+const { expectFromWrite, expectErased } = require('./verify');
+const { OperationError, VerificationError } = require('./errors');
+const { identifyCard } = require('./plugins');
+
+// per-call options override the ones the reader was created with
+const setting = (reader, options, name) => options[name] != null ? options[name] : reader[name];
+
+// High-level API for programs that embed the driver: one promise per card
+// operation, with the enable/read/reset sequences and read-back verification
+// done for you.
+//
+//   const { MsrReader } = require('misiri_driver');
+//   const reader = new MsrReader();
+//   reader.on('status', ({ state, mode }) => ...);
+//   await reader.connect();
+//   const card = await reader.read({ timeout: 30000 });
+//
+// Options:
+//   device      port id, serial number or position of the reader to use
+//   simulate    use the in-memory reader instead of USB
+//   replay      a trace file to play back instead of a reader
+//   trace       a file to record the USB traffic in (see ./trace)
+//   transport   any transport object, instead of the above
+//   config      device settings ({ tracks, leadingZero210, ... }, see config)
+//   verify      read every written card back and compare, default true
+//   timeout     milliseconds to wait for a swipe, default 30000 (0 waits forever)
+//   attempts    swipes to try a write before giving up, default 3
+//   plugins     card format plugins from loadPlugins(); a card one of them
+//               knows is read with its fields in format
+//
+// Events:
+//   'connect'     the reader is ready; { reconnected } is true after a replug
+//   'disconnect'  the reader was unplugged; it is picked up again when it returns
+//   'status'      { state, operation, mode }: state is 'connecting', 'ready',
+//                 'waiting' (for a swipe, mode read, write, erase or verify),
+//                 'reconnecting' or 'closed'
+//   'swipe'       a card went through: { operation, mode, ... } with the tracks
+//                 for reads, attempts for writes and erases, and the
+//                 verification for read-backs
+//
+// Failures are thrown as the classes in ./errors: AbortError after cancel(),
+// TimeoutError, DisconnectedError, VerificationError, DeviceError subclasses
+// for reader status codes and OperationError for everything else.
+class MsrReader extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const transport = options.transport || createTransport(options.device ? { id: options.device } : null,
+            { simulate: options.simulate, replay: options.replay, trace: options.trace });
+        this.device = new MsrDevice({ transport, config: options.config, autoReconnect: true });
+        this.verify = options.verify !== false;
+        this.timeout = options.timeout != null ? options.timeout : 30000;
+        this.attempts = options.attempts || 3;
+        this.plugins = options.plugins || [];
+        this.busy = false;
+        this.waitingFor = null;
+        this.status = { state: 'closed', operation: null, mode: null };
+
+        // after a replug the swipe that was being waited for is waited for again
+        this.device.on('connected', () => this.waitingFor
+            ? this.setStatus('waiting', this.waitingFor.operation, this.waitingFor.mode)
+            : this.setStatus('ready'));
+        this.device.on('reconnected', () => this.emit('connect', { reconnected: true }));
+        this.device.on('disconnected', () => {
+            this.emit('disconnect');
+            this.setStatus('reconnecting', this.status.operation);
+        });
+    }
+
+    get connected() {
+        return this.device.connected;
+    }
+
+    get firmwareVersion() {
+        return this.device.firmwareVersion;
+    }
+
+    setStatus(state, operation = null, mode = null) {
+        this.status = { state, operation, mode };
+        this.emit('status', this.status);
+    }
+
+    waitForSwipe(operation, mode) {
+        this.waitingFor = { operation, mode };
+        this.setStatus('waiting', operation, mode);
+    }
+
+    async connect() {
+        this.setStatus('connecting');
+        try {
+            await this.device.connect();
+        } catch (e) {
+            this.setStatus('closed');
+            throw e;
+        }
+        this.emit('connect', { reconnected: false });
+    }
+
+    close() {
+        this.device.disconnect();
+        this.setStatus('closed');
+    }
+
+    // Stops the operation in progress, which then rejects with AbortError
+    cancel() {
+        if (this.busy) this.device.cancel();
+    }
+
+    // One operation at a time; the reader is left idle afterwards
+    async exclusive(operation, fn) {
+        if (!this.device.connected && !this.device.reconnecting) {
+            throw new OperationError('Device not connected', 'NOT_CONNECTED');
+        }
+        if (this.busy) {
+            throw new OperationError('Device is busy with another operation', 'BUSY');
+        }
+        this.busy = true;
+        try {
+            return await fn();
+        } finally {
+            this.busy = false;
+            this.waitingFor = null;
+            try { await this.device.reset(); } catch (e) {}
+            if (this.device.connected) this.setStatus('ready');
+        }
+    }
+
+    async swipe(operation, options) {
+        this.waitForSwipe(operation, 'read');
+        const card = await readCard(this.device, { timeout: setting(this, options, 'timeout') });
+        this.emit('swipe', { operation, mode: 'read', ...card });
+        return card;
+    }
+
+    async write(operation, data, options, mode = 'write') {
+        this.waitForSwipe(operation, mode);
+        const run = mode === 'erase' ? eraseCard : writeCard;
+        const attempts = await run(this.device, data, {
+            attempts: setting(this, options, 'attempts'),
+            onRetry: (attempt, total, error) => this.emit('status', { ...this.status, retry: attempt, attempts: total, error: error ? error.reason : null }),
+        });
+        this.emit('swipe', { operation, mode, attempts });
+        return attempts;
+    }
+
+    async readBack(operation, expected, options) {
+        if (!setting(this, options, 'verify')) return {};
+        await this.device.reset();
+        this.waitForSwipe(operation, 'verify');
+        const verification = await verifyWrite(this.device, expected, { timeout: setting(this, options, 'timeout') });
+        this.emit('swipe', { operation, mode: 'verify', verification });
+        if (!verification.ok) {
+            throw new VerificationError(verification);
+        }
+        return { verification };
+    }
+
+    // Resolves with { isoTracks, trackData, trackInfo }: the decoded text
+    // ('No Data' or 'Corrupt Data' when there is none), the raw bytes and the
+    // decoder's findings for each track, plus format when a plugin knows the card
+    read(options = {}) {
+        return this.exclusive('read', async () => {
+            const card = await this.swipe('read', options);
+            const format = identifyCard(this.plugins, card);
+            return format ? { ...card, format } : card;
+        });
+    }
+
+    // tracks is [track1, track2, track3] or { t1, t2, t3 }; empty tracks are blanked
+    writeIso(tracks, options = {}) {
+        const isoTracks = Array.isArray(tracks) ? tracks : [tracks.t1, tracks.t2, tracks.t3];
+        const text = [0, 1, 2].map(i => isoTracks[i] ? String(isoTracks[i]) : '');
+        return this.exclusive('write-iso', async () => {
+            if (text.every(track => !track)) {
+                throw new OperationError('Nothing to write', 'INVALID_INPUT');
+            }
+            const trackData = await encodeIsoTracks(this.device, text);
+            const attempts = await this.write('write-iso', trackData, options);
+            const verified = await this.readBack('write-iso', expectFromWrite(trackData, text), options);
+            return { tracks: text, trackData, attempts, ...verified };
+        });
+    }
+
+    // trackData holds three byte arrays, Buffers or hex strings; an empty track is not written
+    writeRaw(trackData, options = {}) {
+        return this.exclusive('write-raw', async () => {
+            if (!Array.isArray(trackData) || trackData.length != 3) {
+                throw new OperationError('trackData must have three tracks', 'INVALID_INPUT');
+            }
+            const bytes = trackData.map((track, i) => typeof track == 'string' || track == null
+                ? parseHexTrack(track, i + 1)
+                : Array.from(track));
+            if (bytes.every(track => track.length == 0)) {
+                throw new OperationError('Nothing to write', 'INVALID_INPUT');
+            }
+            checkTrackBudget(bytes, this.device.config);
+            const attempts = await this.write('write-raw', bytes, options);
+            const verified = await this.readBack('write-raw', expectFromWrite(bytes), options);
+            return { trackData: bytes, attempts, ...verified };
+        });
+    }
+
+    erase(tracks = [1, 2, 3], options = {}) {
+        return this.exclusive('erase', async () => {
+            if (!Array.isArray(tracks) || tracks.length == 0 || tracks.some(t => ![1, 2, 3].includes(t))) {
+                throw new OperationError('tracks must be an array of track numbers (1-3)', 'INVALID_INPUT');
+            }
+            const attempts = await this.write('erase', tracks, options, 'erase');
+            const verified = await this.readBack('erase', expectErased(tracks), options);
+            return { tracks, attempts, ...verified };
+        });
+    }
+
+    // Reads a source card, then writes its raw bytes to the next card swiped
+    clone(options = {}) {
+        return this.exclusive('clone', async () => {
+            const { isoTracks, trackData, trackInfo } = await this.swipe('clone', options);
+            await this.device.reset();
+            const attempts = await this.write('clone', trackData, options);
+            const verified = await this.readBack('clone', expectFromWrite(trackData, isoTracks), options);
+            return { isoTracks, trackData, trackInfo, attempts, ...verified };
+        });
+    }
+}
+
+module.exports = MsrReader;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { toCsvRow } = require('./csv');
+
+const defaultAuditPath = () => path.join(os.homedir(), '.msr', 'audit.log');
+
+const GENESIS = '0'.repeat(64);
+
+const EXPORT_COLUMNS = [
+    'seq', 'timestamp', 'user', 'host', 'operation', 'device', 'outcome', 'error',
+    'track1', 'track2', 'track3', 'hash',
+];
+
+// Append-only log of card operations, one JSON entry per line. Track contents
+// are only ever stored as HMACs keyed with a salt kept next to the log, and
+// each entry's hash covers the previous one, so editing, inserting or removing
+// a single entry in place breaks the chain from that point on. The chain is a
+// plain SHA-256 and nothing outside the log records its head, so it does not
+// detect entries cut from the end, nor an edit followed by recomputing every
+// hash after it: it catches accidents and careless edits, not someone who
+// can write the file and knows the format.
+class AuditLog {
+    constructor(file = defaultAuditPath()) {
+        this.file = file;
+        this.saltFile = `${file}.salt`;
+    }
+
+    salt() {
+        if (!fs.existsSync(this.saltFile)) {
+            fs.mkdirSync(path.dirname(this.saltFile), { recursive: true });
+            fs.writeFileSync(this.saltFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+        }
+        return fs.readFileSync(this.saltFile, 'utf8').trim();
+    }
+
+    hashTracks(trackData) {
+        if (!trackData) return [null, null, null];
+        const salt = this.salt();
+        return [0, 1, 2].map(i => {
+            const track = trackData[i];
+            if (!track || track.length == 0) return null;
+            const bytes = typeof track == 'string' ? Buffer.from(track, 'hex') : Buffer.from(track);
+            return crypto.createHmac('sha256', salt).update(bytes).digest('hex');
+        });
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return [];
+        return fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim()).map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return { invalid: true, line: i + 1 };
+            }
+        });
+    }
+
+    // operation is e.g. 'read' or 'write-iso'; outcome is 'ok', 'failed' or 'cancelled'
+    record({ operation, outcome, device = null, trackData = null, error = null, detail = null }) {
+        const entries = this.load();
+        const last = entries[entries.length - 1];
+        const user = os.userInfo().username;
+        const entry = {
+            seq: last && !last.invalid ? last.seq + 1 : entries.length + 1,
+            timestamp: new Date().toISOString(),
+            user,
+            host: os.hostname(),
+            operation,
+            device,
+            outcome,
+            error: error || null,
+            detail,
+            tracks: this.hashTracks(trackData),
+            prev: last && !last.invalid ? last.hash : GENESIS,
+        };
+        entry.hash = entryHash(entry);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    // Walks the chain and reports every entry that does not fit it
+    verify() {
+        const entries = this.load();
+        const problems = [];
+        let prev = GENESIS;
+        entries.forEach((entry, i) => {
+            const line = i + 1;
+            if (entry.invalid) {
+                problems.push({ line, seq: null, message: 'line is not valid JSON' });
+                prev = null;
+                return;
+            }
+            if (entry.seq !== line) {
+                problems.push({ line, seq: entry.seq, message: `expected entry ${line}, found ${entry.seq}` });
+            }
+            if (prev !== null && entry.prev !== prev) {
+                problems.push({ line, seq: entry.seq, message: 'does not link to the previous entry' });
+            }
+            if (entryHash(entry) !== entry.hash) {
+                problems.push({ line, seq: entry.seq, message: 'contents do not match its hash' });
+            }
+            prev = entry.hash;
+        });
+        return { ok: problems.length == 0, entries: entries.length, problems };
+    }
+
+    toCsv() {
+        const rows = this.load().filter(entry => !entry.invalid).map(entry => toCsvRow([
+            entry.seq,
+            entry.timestamp,
+            entry.user,
+            entry.host,
+            entry.operation,
+            describeDevice(entry.device),
+            entry.outcome,
+            entry.error || '',
+            ...entry.tracks.map(hash => hash || ''),
+            entry.hash,
+        ]));
+        return [toCsvRow(EXPORT_COLUMNS), ...rows].join('\n') + '\n';
+    }
+}
+
+const entryHash = entry => {
+    const { hash, ...fields } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+};
+
+// What is known about the reader behind an operation
+const deviceIdentity = device => device ? {
+    transport: device.transport ? device.transport.constructor.name : null,
+    reader: device.transport && device.transport.id ? device.transport.id : null,
+    serial: device.transport && device.transport.serial ? device.transport.serial : null,
+    firmware: device.firmwareVersion || null,
+} : null;
+
+const describeDevice = identity => identity
+    ? [identity.transport, identity.reader, identity.serial, identity.firmware].filter(part => part).join(' ')
+    : '';
+
+const auditFromConfig = (config = {}) => {
+    const audit = config.audit || {};
+    if (audit.enabled === false) return null;
+    return new AuditLog(audit.path || defaultAuditPath());
+};
+
+module.exports = {
+    AuditLog,
+    defaultAuditPath,
+    deviceIdentity,
+    auditFromConfig
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvObjects, toCsvRow } = require('./csv');
+
+// Batch encoding jobs: one card per CSV row or JSONL line with the ISO text
+// for each track (t1/t2/t3 or track1/track2/track3, plus an optional id).
+// Each attempted row is appended to a results CSV, which is also what a
+// resumed run reads to find where to pick up.
+
+const RESULT_COLUMNS = ['row', 'id', 'status', 'attempts', 'error', 'timestamp'];
+
+const pickTrack = (record, n) => {
+    if (Array.isArray(record.tracks)) return record.tracks[n - 1] || '';
+    const value = record[`t${n}`] !== undefined ? record[`t${n}`] : record[`track${n}`];
+    return value == null ? '' : String(value);
+};
+
+const loadBatchFile = file => {
+    const text = fs.readFileSync(file, 'utf8');
+    let records;
+    if (path.extname(file).toLowerCase() === '.jsonl' || path.extname(file).toLowerCase() === '.ndjson') {
+        records = text.split(/\r?\n/).map((line, i) => {
+            if (!line.trim()) return null;
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Line ${i + 1} of ${file} is not valid JSON: ${e.message}`);
+            }
+        }).filter(record => record !== null);
+    } else {
+        records = parseCsvObjects(text);
+    }
+
+    return records.map((record, i) => {
+        const row = i + 1;
+        return {
+            row,
+            id: String(record.id || record.name || row),
+            tracks: [1, 2, 3].map(n => pickTrack(record, n)),
+        };
+    });
+};
+
+const defaultResultsFile = file => {
+    const ext = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, ext)}.results.csv`);
+};
+
+const readResults = file => {
+    if (!fs.existsSync(file)) return [];
+    return parseCsvObjects(fs.readFileSync(file, 'utf8')).map(result => ({
+        ...result,
+        row: parseInt(result.row, 10),
+        attempts: result.attempts ? parseInt(result.attempts, 10) : 0,
+    }));
+};
+
+// index into rows of the first row after the last one written successfully
+const resumeIndex = (rows, results) => {
+    const done = results.filter(r => r.status === 'ok').map(r => r.row);
+    if (done.length == 0) return 0;
+    const last = Math.max(...done);
+    const index = rows.findIndex(r => r.row > last);
+    return index < 0 ? rows.length : index;
+};
+
+const appendResult = (file, result) => {
+    const exists = fs.existsSync(file) && fs.statSync(file).size > 0;
+    const line = toCsvRow(RESULT_COLUMNS.map(column => result[column])) + '\n';
+    fs.appendFileSync(file, (exists ? '' : toCsvRow(RESULT_COLUMNS) + '\n') + line);
+};
+
+module.exports = {
+    loadBatchFile,
+    defaultResultsFile,
+    readResults,
+    resumeIndex,
+    appendResult
+};
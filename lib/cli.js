@@ -0,0 +1,988 @@
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const MsrDevice = require('./MsrDevice');
+const { listReaders, selectReaders, createTransport } = require('./transports');
+const { toHexString, hexDump } = require('./utils');
+const {
+    encodeIsoTracks,
+    parseHexTrack,
+    readBinaryTrack,
+    checkTrackBudget,
+    readCard,
+    writeCard,
+    eraseCard,
+    verifyWrite
+} = require('./operations');
+const { expectFromWrite, expectErased } = require('./verify');
+const { AbortError, VerificationError } = require('./errors');
+const { getDeviceInfo, runSelfTest } = require('./diagnostics');
+const { libraryFromConfig, parseTags } = require('./library');
+const { loadBatchFile, defaultResultsFile, readResults, resumeIndex, appendResult } = require('./batch');
+const { summarizeTrack, describeErrors } = require('./trackDecoder');
+const { mergeDeviceConfig, validateDeviceConfig, saveConfig, configDir } = require('./config');
+const { saveDump, loadDump, formatFromPath } = require('./dump');
+const { resolveTrackFormats } = require('./encodings');
+const { inspectCard, renderInspection } = require('./inspect');
+const { auditFromConfig, deviceIdentity } = require('./audit');
+const { maskResult, maskTracks } = require('./mask');
+const { loadTrace, traceFileFor, renderTrace } = require('./trace');
+const { prettySink, streamSink, appendSink, pipeSink, runReadCycle } = require('./readCycle');
+const { loadPlugins, identifyCard } = require('./plugins');
+const { loadWriteScript, renderScript, validateTracks, countersFromConfig, parseVars } = require('./writeScript');
+
+const exitCodes = {
+    success: 0,
+    error: 1,
+    usage: 2,
+    deviceNotFound: 3,
+    timeout: 4,
+    writeFailed: 5,
+    verifyFailed: 6,
+};
+
+// OperationError codes, see ./errors
+const operationExitCodes = {
+    TIMEOUT: exitCodes.timeout,
+    VERIFY_FAILED: exitCodes.verifyFailed,
+    WRITE_FAILED: exitCodes.writeFailed,
+    INVALID_INPUT: exitCodes.usage,
+    READ_WRITE_ERROR: exitCodes.writeFailed,
+    INVALID_SWIPE: exitCodes.writeFailed,
+    COMMAND_FORMAT_ERROR: exitCodes.writeFailed,
+};
+
+class CliError extends Error {
+    constructor(message, exitCode = exitCodes.error) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+// options that may be given with or without a value
+const optionalValueOptions = ['save', 'dedupe'];
+
+// options that may be given more than once, collected into a list
+const repeatableOptions = ['var'];
+
+// options that never take a value
+const booleanOptions = ['json', 'simulate', 'help', 'self-test', 'dry-run', 'resume', 'no-verify', 'iso', 'reveal'];
+
+const usage = `Usage: msr <command> [options]
+
+Commands:
+  read [--save <name>] [--tags a,b] [--notes ..] [--out <file>]
+                                read a card and print ISO and raw track data,
+                                optionally saving it to the card library or
+                                a dump file (.json, .csv, .bin, .hex or
+                                encrypted .enc)
+  read-cycle [--append <file>] [--pipe <command>] [--dedupe [seconds]]
+             [--limit <count>]
+                                read cards one after another until Ctrl+C,
+                                printing each one (NDJSON with --json),
+                                appending NDJSON to a file and/or feeding it
+                                to a command's stdin; --dedupe drops a repeat
+                                swipe of the same card, --timeout stops after
+                                that long without a card
+  inspect [file]                show the bits of each track frame by frame, from
+                                a swipe or a dump file
+  import <file> [--iso]         write a card from a dump file, raw by default
+                                or re-encoded from its ISO text with --iso
+  write-iso [--t1 ..] [--t2 ..] [--t3 ..]
+                                encode ISO track data onto a card
+  write-script <file> [--var name=value ...]
+                                fill in a write script's track templates
+                                (counters, dates, check digits), show the
+                                tracks and write them; --dry-run only shows
+  write-raw [t1|none] [t2|none] [t3|none]
+            [--t1 hex] [--t1-file path] ...
+                                write raw bytes, skipping tracks left out
+  clone                         read a card, then write its raw data to another
+  erase [--tracks 1,2,3]        erase the selected tracks
+  batch <file.csv|file.jsonl> [--results path] [--resume]
+                                encode one card per row (t1,t2,t3 columns)
+  library [list] [--search ..] [--tag ..]
+  library search <text>
+  library show|delete|write <id>
+                                manage saved cards, write re-issues one
+  devices                       list attached readers with their port and serial
+  info [--self-test]            show firmware, model, voltage and parameters
+  settings [--bpi 210,75,210] [--bpc 8,8,8] [--coercivity hico|loco]
+           [--leading-zeros 61,22] [--encoding iso7,iso5,iso5]
+           [--save user|project]
+                                apply (and optionally save) device settings
+  trace <file>                  list a --trace recording chunk by chunk
+  audit verify                  check the audit log's hash chain for edits
+  audit export [--out file.csv] export the audit log as CSV
+  serve [--port 8605] [--host 127.0.0.1] [--origin <url,..>]
+                                run the HTTP + socket.io server
+
+Options:
+  --json                        print machine-readable JSON on stdout
+  --timeout <seconds>           how long to wait for a swipe (default 30)
+  --attempts <count>            write attempts before giving up (default 3)
+  --dry-run                     show what write-raw/import/write-script would
+                                write and stop
+  --format json|csv|bin|hex|enc dump format when the file extension is not one
+  --passphrase-file <path>      passphrase for encrypted .enc dumps (or set
+                                MSR_PASSPHRASE)
+  --no-verify                   skip the read-back swipe after writing
+  --reveal                      show account numbers and names in full
+                                instead of masking them
+  --device <id|serial|n>        reader to use when several are attached, by port
+                                id, serial number or position in msr devices;
+                                a comma-separated list or 'all' runs the
+                                command on each of them at the same time
+  --simulate                    use an in-memory reader instead of USB
+  --trace <file>                record every USB chunk to and from the reader
+                                in a trace file (it holds card data in full);
+                                with several readers, one file per reader
+  --replay <file>               play a trace back instead of using a reader,
+                                stopping where the driver does something else
+
+Exit codes:
+  0 success, 1 error, 2 bad usage, 3 device not found,
+  4 timed out waiting for a swipe, 5 write failed,
+  6 read-back verification failed`;
+
+const parseArgs = argv => {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; ++i) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        const name = eq >= 0 ? arg.slice(2, eq) : arg.slice(2);
+        let value = eq >= 0 ? arg.slice(eq + 1) : undefined;
+        if (value === undefined) {
+            const next = argv[i + 1];
+            if (booleanOptions.includes(name)) {
+                value = true;
+            } else if (next !== undefined && !next.startsWith('--')) {
+                value = argv[++i];
+            } else if (optionalValueOptions.includes(name)) {
+                value = true;
+            } else {
+                throw new CliError(`Missing value for --${name}`, exitCodes.usage);
+            }
+        }
+        if (repeatableOptions.includes(name)) {
+            options[name] = (options[name] || []).concat(value);
+        } else {
+            options[name] = value;
+        }
+    }
+    // README spells commands with underscores (write_iso), accept both
+    const command = positional.length > 0 ? positional[0].replace(/_/g, '-') : null;
+    return { command, args: positional.slice(1), options };
+};
+
+const parseTrackList = value => {
+    const tracks = String(value).split(',').map(t => parseInt(t.trim(), 10));
+    if (tracks.length == 0 || tracks.some(t => !(t >= 1 && t <= 3))) {
+        throw new CliError(`Invalid track list: ${value}`, exitCodes.usage);
+    }
+    return [...new Set(tracks)].sort();
+};
+
+const parseNumber = (value, fallback, name) => {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new CliError(`Invalid value for --${name}: ${value}`, exitCodes.usage);
+    }
+    return number;
+};
+
+// id of the reader a command runs on, when it runs on several at once
+const readerLabel = new AsyncLocalStorage();
+
+const labelled = text => {
+    const label = readerLabel.getStore();
+    return label ? text.split('\n').map(line => `[${label}] ${line}`).join('\n') : text;
+};
+
+const hint = message => process.stderr.write(`${labelled(message)}\n`);
+
+const retryHint = verb => (attempt, attempts, error) =>
+    hint(`${verb} failed${error ? ` (${error.reason})` : ''}, retrying (${attempt}/${attempts})... Swipe again.`);
+
+const readOptions = options => ({ timeout: parseNumber(options.timeout, 30, 'timeout') * 1000 });
+
+const writeOptions = (options, verb = 'Write') => ({
+    attempts: Math.max(1, parseNumber(options.attempts, 3, 'attempts')),
+    onRetry: retryHint(verb),
+});
+
+// Passphrase for an encrypted dump, from --passphrase-file or MSR_PASSPHRASE.
+// It is never taken as an argument, where other users could see it.
+const dumpOptions = (options, file) => {
+    if ((options.format || formatFromPath(file)) !== 'enc') return {};
+    let passphrase = process.env.MSR_PASSPHRASE || null;
+    if (options['passphrase-file']) {
+        try {
+            passphrase = fs.readFileSync(options['passphrase-file'], 'utf8').replace(/\r?\n$/, '');
+        } catch (e) {
+            throw new CliError(`Could not read ${options['passphrase-file']}: ${e.message}`, exitCodes.usage);
+        }
+    }
+    if (!passphrase) {
+        throw new CliError(`${file} is encrypted, set MSR_PASSPHRASE or pass --passphrase-file`, exitCodes.usage);
+    }
+    return { passphrase };
+};
+
+const verifyEnabled = (options, config) => !options['no-verify'] && config.verifyWrites !== false;
+
+// Asks for a second swipe and checks the stripe against what was written
+const verifyCard = async (device, expected, options) => {
+    hint('Swipe the card again to VERIFY...');
+    const verification = await verifyWrite(device, expected, readOptions(options));
+    if (!verification.ok) {
+        throw new VerificationError(verification);
+    }
+    return verification;
+};
+
+// Never lets a logging problem hide the outcome of the card operation itself
+const recordAudit = (context, device, operation, outcome, { trackData = null, error = null, detail = null } = {}) => {
+    if (!context.audit) return;
+    try {
+        context.audit.record({ operation, outcome, device: deviceIdentity(device), trackData, error, detail });
+    } catch (e) {
+        hint(`Warning: could not write to the audit log: ${e.message}`);
+    }
+};
+
+const parseNumberList = (value, name) => String(value).split(',').map(item => {
+    const number = Number(item.trim());
+    if (!Number.isInteger(number)) {
+        throw new CliError(`Invalid value for --${name}: ${value}`, exitCodes.usage);
+    }
+    return number;
+});
+
+const settingsFromOptions = (current, options) => {
+    const override = {};
+    if (options.bpi !== undefined || options.bpc !== undefined || options.encoding !== undefined) {
+        const bpi = options.bpi !== undefined ? parseNumberList(options.bpi, 'bpi') : [];
+        const bpc = options.bpc !== undefined ? parseNumberList(options.bpc, 'bpc') : [];
+        const encoding = options.encoding !== undefined ? String(options.encoding).split(',').map(e => e.trim()) : [];
+        override.tracks = current.tracks.map((track, i) => ({
+            bpi: bpi[i] !== undefined ? bpi[i] : track.bpi,
+            bpc: bpc[i] !== undefined ? bpc[i] : track.bpc,
+            encoding: encoding[i] ? encoding[i] : track.encoding,
+        }));
+    }
+    if (options.coercivity !== undefined) {
+        const coercivity = String(options.coercivity).toLowerCase();
+        if (coercivity !== 'hico' && coercivity !== 'loco') {
+            throw new CliError('--coercivity must be hico or loco', exitCodes.usage);
+        }
+        override.isHiCo = coercivity === 'hico';
+    }
+    if (options['leading-zeros'] !== undefined) {
+        const [leadingZero210, leadingZero75] = parseNumberList(options['leading-zeros'], 'leading-zeros');
+        override.leadingZero210 = leadingZero210;
+        if (leadingZero75 !== undefined) override.leadingZero75 = leadingZero75;
+    }
+    const settings = mergeDeviceConfig(current, override);
+    const errors = validateDeviceConfig(settings);
+    if (errors.length > 0) {
+        throw new CliError(`Invalid settings: ${errors.join('; ')}`, exitCodes.usage);
+    }
+    try {
+        resolveTrackFormats(settings);
+    } catch (e) {
+        throw new CliError(e.message, exitCodes.usage);
+    }
+    return settings;
+};
+
+const commandHandlers = {
+    'read': async (device, options, args, { library, plugins }) => {
+        const exportOptions = options.out ? dumpOptions(options, options.out) : {};
+        hint('Waiting for card swipe...');
+        const { isoTracks, trackData, trackInfo } = await readCard(device, readOptions(options));
+        const result = { isoTracks, trackData: trackData.map(toHexString), trackInfo: trackInfo.map(summarizeTrack) };
+        const format = identifyCard(plugins, { isoTracks, trackData });
+        if (format) result.format = format;
+        if (options.out) {
+            try {
+                result.exported = saveDump({ isoTracks, trackData }, options.out, options.format, exportOptions);
+            } catch (e) {
+                throw new CliError(`Could not export to ${options.out}: ${e.message}`, exitCodes.error);
+            }
+        }
+        if (options.save !== undefined) {
+            const card = library.add({
+                name: options.save === true ? null : options.save,
+                tags: parseTags(options.tags),
+                notes: options.notes || '',
+                isoTracks,
+                trackData,
+            });
+            result.saved = { id: card.id, name: card.name };
+        }
+        return result;
+    },
+    'read-cycle': async (device, options, args, context) => {
+        const timeout = options.timeout !== undefined ? parseNumber(options.timeout, 0, 'timeout') * 1000 : 0;
+        const limit = parseNumber(options.limit, 0, 'limit');
+        const dedupe = options.dedupe === undefined ? false
+            : options.dedupe === true ? true
+            : parseNumber(options.dedupe, 0, 'dedupe') * 1000;
+        const label = readerLabel.getStore();
+        const toRecord = ({ isoTracks, trackData, trackInfo }) => {
+            const record = { isoTracks, trackData: trackData.map(toHexString), trackInfo: trackInfo.map(summarizeTrack) };
+            const format = identifyCard(context.plugins, { isoTracks, trackData });
+            if (format) record.format = format;
+            const { masked, ...shown } = options.reveal ? record : maskResult(record, device.trackFormats);
+            return label ? { device: label, ...shown } : shown;
+        };
+
+        let sinkError = null;
+        const sinks = [options.json ? streamSink(line => console.log(line)) : prettySink(line => console.log(labelled(line)))];
+        if (options.append) sinks.push(appendSink(options.append));
+        if (options.pipe) {
+            sinks.push(pipeSink(options.pipe, e => {
+                sinkError = e;
+                device.cancel();
+            }));
+        }
+
+        // Ctrl+C ends the cycle; the summary is still printed
+        const stop = () => device.cancel();
+        process.on('SIGINT', stop);
+        hint(`Reading cards${dedupe !== false ? ', repeats of the same card are skipped' : ''}. Press Ctrl+C to stop.`);
+        let summary;
+        try {
+            summary = await runReadCycle(device, sinks, {
+                toRecord,
+                timeout,
+                dedupe,
+                limit,
+                onSwipe: (card, { seq, duplicate }) => {
+                    if (duplicate) hint(`Same card as #${seq} again, skipped`);
+                    recordAudit(context, device, 'read', 'ok', { trackData: card.trackData, detail: { cycle: seq, duplicate } });
+                },
+            });
+        } finally {
+            process.removeListener('SIGINT', stop);
+        }
+        if (sinkError) throw new CliError(sinkError.message);
+        return summary;
+    },
+    'write-iso': async (device, options, args, { config }) => {
+        const tracks = [options.t1 || '', options.t2 || '', options.t3 || ''];
+        if (tracks.every(track => !track)) {
+            throw new CliError('Nothing to write, pass at least one of --t1, --t2 or --t3', exitCodes.usage);
+        }
+        const isoEncoded = await encodeIsoTracks(device, tracks);
+        hint('Please swipe card to WRITE...');
+        const attempts = await writeCard(device, isoEncoded, writeOptions(options));
+        const result = { tracks, trackData: isoEncoded.map(toHexString), attempts };
+        if (verifyEnabled(options, config)) {
+            result.verification = await verifyCard(device, expectFromWrite(isoEncoded, tracks), options);
+        }
+        return result;
+    },
+    'write-script': async (device, options, args, { config }) => {
+        if (!args[0]) {
+            throw new CliError('Usage: msr write-script <file> [--var name=value ...]', exitCodes.usage);
+        }
+        const script = loadWriteScript(args[0]);
+        const counters = countersFromConfig(config);
+        const rendered = renderScript(script, { values: parseVars(options.var), counters });
+        const { tracks } = rendered;
+        const problems = validateTracks(tracks, device.trackFormats);
+        if (problems.length > 0) {
+            throw new CliError(`${script.file} does not give valid tracks:\n  ${problems.join('\n  ')}`, exitCodes.usage);
+        }
+        const result = { script: script.name, tracks, counters: rendered.counters };
+        if (options['dry-run']) return { ...result, written: false };
+        const shown = options.reveal ? tracks : maskTracks(tracks, device.trackFormats);
+        shown.forEach((track, i) => hint(`Track ${i + 1}: ${track || '(erased)'}`));
+
+        const isoEncoded = await encodeIsoTracks(device, tracks);
+        hint('Please swipe card to WRITE...');
+        result.attempts = await writeCard(device, isoEncoded, writeOptions(options));
+        result.trackData = isoEncoded.map(toHexString);
+        // the numbers are on a card now, whatever the read-back says
+        counters.commit(script, rendered.counters);
+        if (verifyEnabled(options, config)) {
+            result.verification = await verifyCard(device, expectFromWrite(isoEncoded, tracks), options);
+        }
+        return result;
+    },
+    'write-raw': async (device, options, args, { config }) => {
+        const trackData = [1, 2, 3].map(n => {
+            if (options[`t${n}-file`] !== undefined) {
+                return readBinaryTrack(options[`t${n}-file`], n);
+            }
+            const hex = options[`t${n}`] !== undefined ? options[`t${n}`] : args[n - 1];
+            return parseHexTrack(hex, n);
+        });
+        if (trackData.every(track => track.length == 0)) {
+            throw new CliError('Nothing to write, give hex data or a file for at least one track', exitCodes.usage);
+        }
+        checkTrackBudget(trackData, device.config);
+        trackData.forEach((track, i) => {
+            hint(`Track ${i + 1}: ${track.length > 0 ? `${track.length} bytes\n${hexDump(track)}` : 'skipped'}`);
+        });
+        if (options['dry-run']) {
+            return { trackData: trackData.map(toHexString), written: false };
+        }
+        hint('Please swipe card to WRITE...');
+        const attempts = await writeCard(device, trackData, writeOptions(options));
+        const result = { trackData: trackData.map(toHexString), written: true, attempts };
+        if (verifyEnabled(options, config)) {
+            result.verification = await verifyCard(device, expectFromWrite(trackData), options);
+        }
+        return result;
+    },
+    'devices': async (device, options) => ({ readers: await listReaders({ simulate: options.simulate === true }) }),
+    'trace': async (device, options, args) => {
+        if (!args[0]) {
+            throw new CliError('Usage: msr trace <file>', exitCodes.usage);
+        }
+        try {
+            return { file: args[0], ...loadTrace(args[0]) };
+        } catch (e) {
+            throw new CliError(e.message, exitCodes.usage);
+        }
+    },
+    'inspect': async (device, options, args) => {
+        let trackData;
+        if (args[0]) {
+            const loadOptions = dumpOptions(options, args[0]);
+            try {
+                ({ trackData } = loadDump(args[0], options.format, loadOptions));
+            } catch (e) {
+                throw new CliError(`Could not load ${args[0]}: ${e.message}`, exitCodes.error);
+            }
+        } else {
+            hint('Waiting for card swipe...');
+            ({ trackData } = await readCard(device, readOptions(options)));
+        }
+        return { tracks: inspectCard(trackData, device.trackFormats) };
+    },
+    'import': async (device, options, args, { config }) => {
+        if (!args[0]) {
+            throw new CliError('Usage: msr import <file> [--iso]', exitCodes.usage);
+        }
+        const loadOptions = dumpOptions(options, args[0]);
+        let dump;
+        try {
+            dump = loadDump(args[0], options.format, loadOptions);
+        } catch (e) {
+            throw new CliError(`Could not load ${args[0]}: ${e.message}`, exitCodes.error);
+        }
+
+        // without raw bytes (or with --iso) the ISO text is encoded for this reader's settings
+        const mode = options.iso || dump.trackData.every(track => track.length == 0) ? 'iso' : 'raw';
+        let trackData;
+        if (mode === 'iso') {
+            if (dump.isoTracks.every(track => !track)) {
+                throw new CliError(`${args[0]} has no ISO text to encode`, exitCodes.usage);
+            }
+            trackData = await encodeIsoTracks(device, dump.isoTracks);
+        } else {
+            trackData = dump.trackData;
+            checkTrackBudget(trackData, device.config);
+        }
+        const result = { file: args[0], mode, isoTracks: dump.isoTracks, trackData: trackData.map(toHexString) };
+        if (options['dry-run']) {
+            trackData.forEach((track, i) => {
+                hint(`Track ${i + 1}: ${track.length > 0 ? `${track.length} bytes\n${hexDump(track)}` : 'skipped'}`);
+            });
+            return { ...result, written: false };
+        }
+
+        hint('Please swipe card to WRITE...');
+        result.attempts = await writeCard(device, trackData, writeOptions(options));
+        result.written = true;
+        if (verifyEnabled(options, config)) {
+            result.verification = await verifyCard(device, expectFromWrite(trackData, dump.isoTracks), options);
+        }
+        return result;
+    },
+    'clone': async (device, options, args, { config }) => {
+        hint('Waiting for source card swipe...');
+        const { isoTracks, trackData } = await readCard(device, readOptions(options));
+        await device.reset();
+        hint('Source card read. Please swipe target card to WRITE...');
+        const attempts = await writeCard(device, trackData, writeOptions(options));
+        const result = { isoTracks, trackData: trackData.map(toHexString), attempts };
+        if (verifyEnabled(options, config)) {
+            result.verification = await verifyCard(device, expectFromWrite(trackData, isoTracks), options);
+        }
+        return result;
+    },
+    'erase': async (device, options, args, { config }) => {
+        const tracks = parseTrackList(options.tracks || '1,2,3');
+        hint('Swipe card to ERASE...');
+        const attempts = await eraseCard(device, tracks, writeOptions(options, 'Erase'));
+        const result = { tracks, attempts };
+        if (verifyEnabled(options, config)) {
+            result.verification = await verifyCard(device, expectErased(tracks), options);
+        }
+        return result;
+    },
+    'batch': async (device, options, args, context) => {
+        const { config } = context;
+        const [file] = args;
+        if (!file) {
+            throw new CliError('Usage: msr batch <file.csv|file.jsonl>', exitCodes.usage);
+        }
+        let rows;
+        try {
+            rows = loadBatchFile(file);
+        } catch (e) {
+            throw new CliError(e.message, exitCodes.usage);
+        }
+        if (rows.length == 0) {
+            throw new CliError(`No rows in ${file}`, exitCodes.usage);
+        }
+
+        const resultsFile = options.results || defaultResultsFile(file);
+        const previous = readResults(resultsFile);
+        if (previous.length > 0 && !options.resume) {
+            throw new CliError(`${resultsFile} already has results, pass --resume to continue or --results to start a new file`, exitCodes.usage);
+        }
+        const start = options.resume ? resumeIndex(rows, previous) : 0;
+        const pending = rows.slice(start);
+
+        // encode everything first so a bad row stops the job before any card is written
+        const encoded = [];
+        for (const row of pending) {
+            if (row.tracks.every(track => !track)) {
+                throw new CliError(`Row ${row.row} (${row.id}) has no track data`, exitCodes.usage);
+            }
+            try {
+                encoded.push(await encodeIsoTracks(device, row.tracks));
+            } catch (e) {
+                throw new CliError(`Row ${row.row} (${row.id}): ${e.message}`, exitCodes.usage);
+            }
+        }
+
+        if (start > 0) {
+            hint(`Resuming at row ${pending.length > 0 ? pending[0].row : '-'}, ${start} of ${rows.length} already written.`);
+        }
+        for (let i = 0; i < pending.length; ++i) {
+            const row = pending[i];
+            hint(`Card ${start + i + 1} of ${rows.length} (${row.id}): please swipe card to WRITE...`);
+            try {
+                const attempts = await writeCard(device, encoded[i], writeOptions(options));
+                if (verifyEnabled(options, config)) {
+                    await verifyCard(device, expectFromWrite(encoded[i], row.tracks), options);
+                }
+                appendResult(resultsFile, { row: row.row, id: row.id, status: 'ok', attempts, timestamp: new Date().toISOString() });
+                recordAudit(context, device, 'batch', 'ok', { trackData: encoded[i], detail: { file, row: row.row, id: row.id } });
+            } catch (e) {
+                appendResult(resultsFile, { row: row.row, id: row.id, status: 'failed', error: e.message, timestamp: new Date().toISOString() });
+                recordAudit(context, device, 'batch', 'failed', { trackData: encoded[i], error: e.message, detail: { file, row: row.row, id: row.id } });
+                throw new CliError(
+                    `Row ${row.row} (${row.id}): ${e.message}. Run again with --resume to continue from this row`,
+                    operationExitCodes[e.code] || exitCodes.error
+                );
+            }
+        }
+        return { file, resultsFile, total: rows.length, written: pending.length, skipped: start };
+    },
+    'library': async (device, options, args, { library, config }) => {
+        const [action = 'list', query] = args;
+        const findCard = () => {
+            if (!query) {
+                throw new CliError(`Usage: msr library ${action} <id>`, exitCodes.usage);
+            }
+            const card = library.get(query);
+            if (!card) {
+                throw new CliError(`No card with id ${query} in the library`);
+            }
+            return card;
+        };
+
+        switch (action) {
+            case 'list':
+                return { action, cards: library.search(options.search || '', options.tag || null) };
+            case 'search':
+                return { action, cards: library.search(query || '', options.tag || null) };
+            case 'show':
+                return { action, card: findCard() };
+            case 'delete': {
+                const card = findCard();
+                library.remove(card.id);
+                return { action, card };
+            }
+            case 'write': {
+                const card = findCard();
+                const trackData = card.trackData.map((hex, i) => parseHexTrack(hex, i + 1));
+                checkTrackBudget(trackData, device.config);
+                hint(`Writing "${card.name}" (${card.id}). Please swipe card to WRITE...`);
+                const attempts = await writeCard(device, trackData, writeOptions(options));
+                const result = { action, card, attempts };
+                if (verifyEnabled(options, config)) {
+                    result.verification = await verifyCard(device, expectFromWrite(trackData, card.isoTracks), options);
+                }
+                return result;
+            }
+            default:
+                throw new CliError(`Unknown library action: ${action}`, exitCodes.usage);
+        }
+    },
+    'info': async (device, options) => {
+        const info = await getDeviceInfo(device);
+        if (options['self-test']) {
+            info.selfTest = await runSelfTest(device);
+        }
+        return info;
+    },
+    'audit': async (device, options, args, { audit }) => {
+        const action = args[0] || 'verify';
+        if (!audit) {
+            throw new CliError('The audit log is turned off (audit.enabled is false in .msrrc.json)', exitCodes.usage);
+        }
+        if (action === 'verify') {
+            const report = audit.verify();
+            if (!report.ok) {
+                const error = new CliError(`Audit log ${audit.file} has been altered (${report.problems.length} problem(s))`, exitCodes.error);
+                error.details = { audit: report };
+                throw error;
+            }
+            return { action, file: audit.file, ...report };
+        }
+        if (action === 'export') {
+            const csv = audit.toCsv();
+            if (options.out) {
+                fs.writeFileSync(options.out, csv);
+                return { action, file: options.out };
+            }
+            return { action, csv };
+        }
+        throw new CliError(`Unknown audit action: ${action}`, exitCodes.usage);
+    },
+    'settings': async (device, options) => {
+        const settings = settingsFromOptions(device.config, options);
+        if (options.save !== undefined && options.save !== 'user' && options.save !== 'project') {
+            throw new CliError('--save must be user or project', exitCodes.usage);
+        }
+        const report = await device.configure(settings);
+        const rejected = report.filter(step => !step.acknowledged).map(step => step.setting);
+        if (rejected.length > 0) {
+            throw new CliError(`Device did not acknowledge: ${rejected.join(', ')}`);
+        }
+        const result = { settings, report };
+        if (options.save) {
+            result.savedTo = saveConfig('device', settings, options.save);
+        }
+        return result;
+    },
+};
+
+const formatCard = card => [
+    `${card.id}  ${card.name}`,
+    `  Saved: ${card.createdAt}`,
+    `  Tags: ${card.tags.length > 0 ? card.tags.join(', ') : '-'}`,
+    ...(card.notes ? [`  Notes: ${card.notes}`] : []),
+    ...card.isoTracks.map((track, i) => `  Track ${i + 1}: ${track}`),
+    ...card.trackData.map((hex, i) => `  Raw ${i + 1}: ${hex === null ? '(masked)' : hex}`),
+].join('\n');
+
+// The fields a card format plugin found on the card
+const formatFields = format => format.error
+    ? [`Format: ${format.label} (could not be parsed: ${format.error})`]
+    : [`Format: ${format.label}`, ...format.fields.map(field => `  ${field.label}: ${field.value == null ? '-' : field.value}`)];
+
+const maskedNote = 'Account numbers and names are masked, pass --reveal to show them';
+
+const formatResult = (command, result) => {
+    if (command === 'inspect') {
+        return renderInspection(result.tracks) + (result.masked ? `\n\n${maskedNote}` : '');
+    }
+    if (command === 'audit') {
+        if (result.csv !== undefined) return result.csv.trimEnd();
+        if (result.action === 'export') return `Exported to ${result.file}`;
+        return `Audit log ${result.file} is intact (${result.entries} entr${result.entries == 1 ? 'y' : 'ies'})`;
+    }
+    const lines = [];
+    if (command === 'trace') {
+        return renderTrace(result);
+    }
+    if (command === 'devices') {
+        if (result.readers.length == 0) return 'No MSR605X readers found.';
+        return result.readers.map((reader, i) =>
+            `${i + 1}  ${reader.id}${reader.serial ? `  serial ${reader.serial}` : ''}`).join('\n');
+    }
+    if (command === 'library') {
+        if (result.cards) {
+            if (result.cards.length == 0) lines.push('No cards found.');
+            result.cards.forEach(card => lines.push(
+                `${card.id}  ${card.createdAt.slice(0, 19).replace('T', ' ')}  ${card.name}${card.tags.length > 0 ? `  [${card.tags.join(', ')}]` : ''}`
+            ));
+        } else if (result.action === 'show') {
+            lines.push(formatCard(result.card));
+        } else if (result.action === 'delete') {
+            lines.push(`Deleted ${result.card.id} (${result.card.name})`);
+        } else if (result.action === 'write') {
+            lines.push(`Wrote ${result.card.id} (${result.card.name})`);
+        }
+        return lines.join('\n');
+    }
+    if (command === 'import') {
+        lines.push(`${result.written ? 'Wrote' : 'Would write'} ${result.file} (${result.mode === 'iso' ? 're-encoded from ISO text' : 'raw data'})`);
+    }
+    if (command === 'write-script') {
+        const counters = Object.entries(result.counters).map(([name, value]) => `${name} ${value}`);
+        lines.push(`${result.written === false ? 'Would write' : 'Wrote'} a card from ${result.script}` +
+            (counters.length > 0 ? ` (${counters.join(', ')})` : ''));
+    }
+    if (result.isoTracks) {
+        result.isoTracks.forEach((track, i) => {
+            const info = result.trackInfo && result.trackInfo[i];
+            if (info && info.status === 'corrupt') {
+                lines.push(`Track ${i + 1}: ${track} (${info.text ? `${info.text}: ` : ''}${describeErrors(info.errors)})`);
+            } else {
+                lines.push(`Track ${i + 1}: ${track}${info && info.reversed ? ' (swiped backwards)' : ''}`);
+            }
+        });
+    } else if (result.tracks && (command === 'write-iso' || command === 'write-script')) {
+        result.tracks.forEach((track, i) => lines.push(`Track ${i + 1}: ${track || '(erased)'}`));
+    }
+    if (result.format) {
+        lines.push(...formatFields(result.format));
+    }
+    if (result.trackData) {
+        result.trackData.forEach((hex, i) => lines.push(`Raw ${i + 1}: ${hex === null ? '(masked)' : hex || (command === 'write-raw' ? '(skipped)' : '')}`));
+    }
+    if (command === 'read-cycle') {
+        lines.push(`Read ${result.reads} card${result.reads == 1 ? '' : 's'}` +
+            (result.duplicates > 0 ? `, skipped ${result.duplicates} repeat${result.duplicates == 1 ? '' : 's'}` : '') +
+            (result.errors > 0 ? `, ${result.errors} failed swipe${result.errors == 1 ? '' : 's'}` : ''));
+    }
+    if (command === 'erase') {
+        lines.push(`Erased tracks: ${result.tracks.join(', ')}`);
+    }
+    if (command === 'batch') {
+        lines.push(`Wrote ${result.written} of ${result.total} cards${result.skipped > 0 ? ` (${result.skipped} done in an earlier run)` : ''}`);
+        lines.push(`Results: ${result.resultsFile}`);
+    }
+    if (command === 'info') {
+        const value = v => v != null ? v : 'no reply';
+        lines.push(`Firmware: ${value(result.firmware)}`);
+        lines.push(`Model: ${value(result.model && result.model.name)}`);
+        lines.push(`Voltage: ${value(result.voltage && `${result.voltage.volts.toFixed(2)} V`)}`);
+        lines.push(`Parameters: ${value(result.parameters && result.parameters.map(p => p.hex).join(' '))}`);
+        (result.selfTest || []).forEach(r => lines.push(`${r.passed ? 'PASS' : 'FAIL'} ${r.test} (${r.detail})`));
+    }
+    if (result.report) {
+        result.report.forEach(step => lines.push(`${step.acknowledged ? 'OK  ' : 'FAIL'} ${step.setting}`));
+    }
+    if (result.verification) {
+        lines.push(`Verified: ${result.verification.tracks.filter(t => t.checked).map(t => `track ${t.track}`).join(', ') || 'nothing to check'}`);
+    }
+    if (result.saved) {
+        lines.push(`Saved to library as ${result.saved.id} (${result.saved.name})`);
+    }
+    if (result.exported) {
+        lines.push(`Exported to ${result.exported.join(', ')}`);
+    }
+    if (result.savedTo) {
+        lines.push(`Saved to ${result.savedTo}`);
+    }
+    if (result.masked) {
+        lines.push(maskedNote);
+    }
+    return lines.join('\n');
+};
+
+const serve = async (device, options, config, plugins) => {
+    const { createServer } = require('./server');
+    // the server has its own reconnect loop and reports the state to clients
+    device.autoReconnect = false;
+    const port = parseNumber(options.port, 8605, 'port');
+    const host = options.host || '127.0.0.1';
+    const server = createServer(device, {
+        origin: options.origin,
+        host,
+        verify: verifyEnabled(options, config),
+        audit: auditFromConfig(config),
+        reveal: options.reveal === true,
+        plugins,
+    });
+    try {
+        await server.listen(port, host);
+    } catch (e) {
+        console.error(`Error: could not listen on ${host}:${port}: ${e.message}`);
+        return exitCodes.error;
+    }
+    hint(`Listening on http://${host}:${port}`);
+    await new Promise(resolve => server.httpServer.once('close', resolve));
+    return exitCodes.success;
+};
+
+const connectionExitCode = error => {
+    if (error.message === 'ACCESS_DENIED' || error.message.startsWith('Device not found')) {
+        return exitCodes.deviceNotFound;
+    }
+    return exitCodes.error;
+};
+
+// commands that work on local files only and never touch the reader
+const isOffline = (command, args) => (command === 'library' && args[0] !== 'write') ||
+    (command === 'inspect' && !!args[0]) || command === 'audit' || command === 'devices' || command === 'trace';
+
+// commands that touch a card and go in the audit log; batch records each row itself
+const auditedCommands = ['read', 'write-iso', 'write-script', 'write-raw', 'import', 'clone', 'erase', 'library', 'inspect'];
+
+const runCommand = async (device, { command, args = [], options }, config = {}) => {
+    const print = (result) => {
+        const value = options.reveal ? result : maskResult(result, device.trackFormats);
+        const label = readerLabel.getStore();
+        const error = message => console.error(labelled(message));
+        if (options.json) {
+            // one line per reader when running on several, and after read-cycle's NDJSON
+            if (label) console.log(JSON.stringify({ device: label, ...value }));
+            else console.log(command === 'read-cycle' ? JSON.stringify(value) : JSON.stringify(value, null, 2));
+        } else if (value.ok) {
+            console.log(labelled(formatResult(command, value)));
+        } else {
+            error(`Error: ${value.error}`);
+            if (value.reason && !value.error.includes(value.reason)) {
+                error(`  Reason: ${value.reason}`);
+            }
+            if (value.suggestion) {
+                error(`  ${value.suggestion}`);
+            }
+            if (value.audit) {
+                value.audit.problems.forEach(p => error(`  line ${p.line}: ${p.message}`));
+            }
+            if (value.verification) {
+                value.verification.tracks.filter(t => !t.ok).forEach(t => error(`  Track ${t.track}: ${t.reason}`));
+            }
+        }
+    };
+
+    const handler = commandHandlers[command];
+    if (command === 'help' || options.help) {
+        console.log(usage);
+        return exitCodes.success;
+    }
+    if (!handler && command !== 'serve') {
+        console.error(`Unknown command: ${command}\n\n${usage}`);
+        return exitCodes.usage;
+    }
+
+    let plugins;
+    try {
+        plugins = loadPlugins(config.plugins, configDir(config, 'plugins'));
+    } catch (e) {
+        print({ ok: false, command, error: e.message, exitCode: exitCodes.error });
+        return exitCodes.error;
+    }
+
+    if (command === 'serve') {
+        return serve(device, options, config, plugins);
+    }
+
+    const context = { config, library: libraryFromConfig(config), audit: auditFromConfig(config), plugins };
+    const offline = isOffline(command, args);
+    const audited = !offline && auditedCommands.includes(command);
+
+    if (!offline) {
+        try {
+            await device.connect();
+        } catch (e) {
+            const message = e.message === 'ACCESS_DENIED' ? 'Could not access device (permission denied)' : e.message;
+            const exitCode = connectionExitCode(e);
+            print({ ok: false, command, error: message, exitCode });
+            return exitCode;
+        }
+    }
+
+    const onDisconnected = () => hint(device.autoReconnect
+        ? 'Reader unplugged, waiting for it to be plugged back in...'
+        : 'Reader unplugged.');
+    const onReconnected = () => hint('Reader reconnected.');
+    device.on('disconnected', onDisconnected);
+    device.on('reconnected', onReconnected);
+
+    try {
+        const result = await handler(device, options, args, context);
+        if (audited && result.written !== false) {
+            recordAudit(context, device, command === 'library' ? 'library-write' : command, 'ok', {
+                trackData: result.trackData || (result.card && result.card.trackData),
+                detail: command === 'erase' ? { tracks: result.tracks } : null,
+            });
+        }
+        print({ ok: true, command, ...result });
+        return exitCodes.success;
+    } catch (e) {
+        const exitCode = e.exitCode || operationExitCodes[e.code] || exitCodes.error;
+        // usage errors stop before the card is touched
+        if (audited && exitCode !== exitCodes.usage) {
+            const outcome = e instanceof AbortError ? 'cancelled' : 'failed';
+            recordAudit(context, device, command === 'library' ? 'library-write' : command, outcome, { error: e.message });
+        }
+        const advice = e.suggestion ? { reason: e.reason, suggestion: e.suggestion } : {};
+        print({ ok: false, command, error: e.message, exitCode, ...advice, ...(e.details || {}) });
+        return exitCode;
+    } finally {
+        device.removeListener('disconnected', onDisconnected);
+        device.removeListener('reconnected', onReconnected);
+        if (!offline) {
+            try { await device.reset(); } catch (e) {}
+        }
+    }
+};
+
+// commands that can run on several readers at once
+const multiReaderCommands = ['read', 'read-cycle', 'write-iso', 'write-raw', 'clone', 'erase', 'import', 'inspect', 'info', 'settings'];
+
+const selectsSeveralReaders = selector => typeof selector == 'string' && (selector === 'all' || selector.includes(','));
+
+// Runs the command on every reader picked with --device, all at the same time.
+// Each reader gets its own MsrDevice, so operations never share a control
+// chain or packet reader. Returns the first failing exit code.
+const runCommandOnReaders = async (parsed, config = {}) => {
+    const { command, options } = parsed;
+    if (!multiReaderCommands.includes(command)) {
+        console.error(`Error: ${command} works with one reader at a time, pick it with --device <id>`);
+        return exitCodes.usage;
+    }
+    if (options.replay) {
+        console.error('Error: --replay plays back one reader, leave out --device');
+        return exitCodes.usage;
+    }
+    const simulate = options.simulate === true;
+    let readers;
+    try {
+        readers = selectReaders(await listReaders({ simulate }), options.device);
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return connectionExitCode(e);
+    }
+    if (readers.length == 0) {
+        console.error('Error: Device not found. Is the MSR605X connected?');
+        return exitCodes.deviceNotFound;
+    }
+    const codes = await Promise.all(readers.map(reader => readerLabel.run(reader.id, () => {
+        const trace = options.trace ? traceFileFor(options.trace, reader.id) : null;
+        const device = new MsrDevice({ transport: createTransport(reader, { simulate, trace }), config: config.device, autoReconnect: true });
+        return runCommand(device, parsed, config).finally(() => device.disconnect());
+    })));
+    return codes.find(code => code !== exitCodes.success) || exitCodes.success;
+};
+
+module.exports = {
+    exitCodes,
+    CliError,
+    usage,
+    parseArgs,
+    runCommand,
+    selectsSeveralReaders,
+    runCommandOnReaders
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deviceConfig } = require('./constants');
+const { isEncodingName, resolveTrackFormats } = require('./encodings');
+
+// Settings live in ~/.msrrc.json (per user) and ./.msrrc.json (per project),
+// the project file wins over the user file, which wins over the defaults.
+const CONFIG_FILE = '.msrrc.json';
+
+const configPaths = (cwd = process.cwd()) => ({
+    user: path.join(os.homedir(), CONFIG_FILE),
+    project: path.join(cwd, CONFIG_FILE),
+});
+
+const validBPI = [75, 210];
+const validBPC = [5, 7, 8];
+
+const cloneDeviceConfig = config => ({
+    tracks: config.tracks.map((track, i) => ({
+        bpc: track.bpc,
+        bpi: track.bpi,
+        encoding: track.encoding || deviceConfig.tracks[i].encoding,
+    })),
+    leadingZero210: config.leadingZero210,
+    leadingZero75: config.leadingZero75,
+    isHiCo: config.isHiCo,
+});
+
+const validateDeviceConfig = config => {
+    const errors = [];
+    if (!Array.isArray(config.tracks) || config.tracks.length != 3) {
+        errors.push('tracks must list settings for all three tracks');
+    } else {
+        config.tracks.forEach((track, i) => {
+            if (!validBPI.includes(track.bpi)) {
+                errors.push(`track ${i + 1} bpi must be one of ${validBPI.join(', ')}`);
+            }
+            if (!validBPC.includes(track.bpc)) {
+                errors.push(`track ${i + 1} bpc must be one of ${validBPC.join(', ')}`);
+            }
+            if (track.encoding !== undefined && !isEncodingName(track.encoding)) {
+                errors.push(`track ${i + 1} encoding must be iso7, iso5, binary or a .json file`);
+            }
+        });
+    }
+    ['leadingZero210', 'leadingZero75'].forEach(key => {
+        if (!Number.isInteger(config[key]) || config[key] < 0 || config[key] > 255) {
+            errors.push(`${key} must be a whole number between 0 and 255`);
+        }
+    });
+    if (typeof config.isHiCo != 'boolean') {
+        errors.push('isHiCo must be true or false');
+    }
+    return errors;
+};
+
+const mergeDeviceConfig = (base, override = {}) => {
+    const merged = cloneDeviceConfig(base);
+    if (Array.isArray(override.tracks)) {
+        override.tracks.forEach((track, i) => {
+            if (track && merged.tracks[i]) {
+                Object.assign(merged.tracks[i], track);
+            }
+        });
+    }
+    ['leadingZero210', 'leadingZero75', 'isHiCo'].forEach(key => {
+        if (override[key] !== undefined) merged[key] = override[key];
+    });
+    return merged;
+};
+
+const readConfigFile = file => {
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not parse config file ${file}: ${e.message}`);
+    }
+};
+
+const loadConfig = (cwd) => {
+    const paths = configPaths(cwd);
+    const user = readConfigFile(paths.user);
+    const project = readConfigFile(paths.project);
+    const config = { ...user, ...project };
+    // the file each setting came from, so relative paths in it can be
+    // resolved against that file's directory (see configDir)
+    config.sources = {};
+    Object.keys(user).forEach(key => { config.sources[key] = paths.user; });
+    Object.keys(project).forEach(key => { config.sources[key] = paths.project; });
+    config.device = mergeDeviceConfig(mergeDeviceConfig(deviceConfig, user.device), project.device);
+    const errors = validateDeviceConfig(config.device);
+    if (errors.length > 0) {
+        throw new Error(`Invalid device settings: ${errors.join('; ')}`);
+    }
+    try {
+        resolveTrackFormats(config.device, cwd);
+    } catch (e) {
+        throw new Error(`Invalid device settings: ${e.message}`);
+    }
+    return config;
+};
+
+// Directory of the config file that set a top-level key; the working
+// directory for settings that come from neither file
+const configDir = (config, key) => config.sources && config.sources[key]
+    ? path.dirname(config.sources[key])
+    : process.cwd();
+
+// Writes one section of the config into the user or project file, leaving
+// everything else in that file untouched.
+const saveConfig = (section, value, scope = 'user', cwd) => {
+    const file = configPaths(cwd)[scope];
+    if (!file) {
+        throw new Error(`Unknown config scope: ${scope}`);
+    }
+    const current = readConfigFile(file);
+    current[section] = value;
+    fs.writeFileSync(file, JSON.stringify(current, null, 2) + '\n');
+    return file;
+};
+
+module.exports = {
+    CONFIG_FILE,
+    configPaths,
+    validBPI,
+    validBPC,
+    cloneDeviceConfig,
+    validateDeviceConfig,
+    mergeDeviceConfig,
+    loadConfig,
+    configDir,
+    saveConfig
+};
@@ -15,7 +15,7 @@ const track0ISOAlphabet = Object.fromEntries(Object.entries({
     '0011001': ',',
     '1011000': '-',
     '0111000': '.',
-    '1001001': '/',
+    '1111001': '/',
     '0000100': '0',
     '1000101': '1',
     '0100101': '2',
@@ -89,6 +89,42 @@ const track1ISOAlphabet = Object.fromEntries(Object.entries({
 
 const track1ISOAlphabetInverted = Object.fromEntries(Object.entries(track1ISOAlphabet).map(([key, value]) => [value, parseInt(key)]));
 
+// Built-in track encodings. A frame is the character's data bits followed by
+// a parity bit (unless parity is 'none'); tracks end with an LRC frame.
+const encodings = {
+    iso7: {
+        name: 'iso7',
+        type: 'alphabet',
+        bits: 7,
+        parity: 'odd',
+        lrc: true,
+        alphabet: track0ISOAlphabet,
+        inverted: track0ISOAlphabetInverted,
+        startSentinel: '%',
+        endSentinel: '?',
+    },
+    iso5: {
+        name: 'iso5',
+        type: 'alphabet',
+        bits: 5,
+        parity: 'odd',
+        lrc: true,
+        alphabet: track1ISOAlphabet,
+        inverted: track1ISOAlphabetInverted,
+        startSentinel: ';',
+        endSentinel: '?',
+    },
+    // raw 8-bit data, written and shown as hex
+    binary: {
+        name: 'binary',
+        type: 'binary',
+        bits: 8,
+    },
+};
+
+// ISO 7811 defaults per track
+const trackFormats = [encodings.iso7, encodings.iso5, encodings.iso5];
+
 const commands = {
     'reset': '1b61',
     'getFirmwareVersion': '1b76',
@@ -107,22 +143,30 @@ const commands = {
     'getDeviceModel': '1b74',
     'setParameter': '1ba1',
     'enableWrite': '1b6e1b73',
+    'erase': '1b63',
+    'communicationTest': '1b65',
 };
 
+// ISO 7811 usable stripe length, bounds how many bytes fit on a track
+const trackLengthInches = 3.375;
+
 // valid BPIs are 75 & 210
 const deviceConfig = {
     tracks: [
         {
             bpc: 8,
             bpi: 210,
+            encoding: 'iso7',
         },
         {
             bpc: 8,
             bpi: 75,
+            encoding: 'iso5',
         },
         {
             bpc: 8,
             bpi: 210,
+            encoding: 'iso5',
         },
     ],
     leadingZero210: 61,
@@ -135,6 +179,9 @@ module.exports = {
     track0ISOAlphabetInverted,
     track1ISOAlphabet,
     track1ISOAlphabetInverted,
+    encodings,
+    trackFormats,
     commands,
+    trackLengthInches,
     deviceConfig
 };
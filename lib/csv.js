@@ -0,0 +1,61 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes and
+// newlines inside quotes.
+
+const parseCsv = text => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; ++i) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                ++i;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') ++i;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+};
+
+// Parses CSV with a header line into objects keyed by the (trimmed) header names
+const parseCsvObjects = text => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, row[i] !== undefined ? row[i] : ''])));
+};
+
+const escapeCsvField = value => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = values => values.map(escapeCsvField).join(',');
+
+module.exports = {
+    parseCsv,
+    parseCsvObjects,
+    toCsvRow
+};
@@ -0,0 +1,114 @@
+const { toHexString, sleep } = require('./utils');
+
+const modelTracks = {
+    '1': 1,
+    '2': 2,
+    '3': 3,
+};
+
+// strips the ESC lead-in and, when present, the 0x30 "ok" status byte
+const replyPayload = reply => {
+    if (!reply || reply[0] != 0x1B) return null;
+    let payload = reply.slice(1);
+    if (payload.length > 1 && payload[0] == 0x30) {
+        payload = payload.slice(1);
+    }
+    return payload;
+};
+
+const isPrintable = bytes => bytes.length > 0 && bytes.every(b => b >= 0x20 && b < 0x7F);
+
+const decodeFirmware = reply => {
+    const payload = replyPayload(reply);
+    if (!payload || !isPrintable(payload)) return null;
+    return Buffer.from(payload).toString('ascii');
+};
+
+// The reader answers <model>S, e.g. "3S" for a three track unit
+const decodeModel = reply => {
+    const payload = replyPayload(reply);
+    if (!payload || !isPrintable(payload)) return null;
+    const text = Buffer.from(payload).toString('ascii');
+    const code = text.replace(/S$/, '');
+    return {
+        code,
+        tracks: modelTracks[code] || null,
+        name: modelTracks[code] ? `MSR605X (${modelTracks[code]} track)` : `Unknown model ${code}`,
+    };
+};
+
+// Voltage comes back either as ASCII text or as a big-endian count of 10 mV
+const decodeVoltage = reply => {
+    const payload = replyPayload(reply);
+    if (!payload || payload.length == 0) return null;
+    if (isPrintable(payload)) {
+        const volts = parseFloat(Buffer.from(payload).toString('ascii'));
+        return Number.isFinite(volts) ? { volts, raw: toHexString(payload) } : null;
+    }
+    const value = payload.slice(0, 2).reduce((acc, b) => (acc << 8) | b, 0);
+    return { volts: value / 100, raw: toHexString(payload) };
+};
+
+const decodeParameters = reply => {
+    const payload = replyPayload(reply);
+    if (!payload) return null;
+    return payload.map((value, index) => ({ index, value, hex: toHexString([value]) }));
+};
+
+const getDeviceInfo = async (device) => {
+    const firmware = decodeFirmware(await device.query('getFirmwareVersion'));
+    if (firmware) device.firmwareVersion = firmware;
+    return {
+        firmware: firmware || device.firmwareVersion,
+        model: decodeModel(await device.query('getDeviceModel')),
+        voltage: decodeVoltage(await device.query('getVoltage')),
+        parameters: decodeParameters(await device.query('getParameter')),
+    };
+};
+
+// Round-trips the communication test a few times and flashes the LEDs. The LED
+// commands have no reply, so whether they lit up is for the operator to judge.
+const runSelfTest = async (device, { rounds = 5, ledDelay = 700 } = {}) => {
+    const results = [];
+
+    let passed = 0;
+    for (let i = 0; i < rounds; ++i) {
+        const reply = await device.query('communicationTest');
+        if (reply && reply[0] == 0x1B && reply[1] == 0x79) {
+            ++passed;
+        }
+    }
+    results.push({
+        test: 'Communication',
+        passed: passed == rounds,
+        detail: `${passed}/${rounds} replies`,
+    });
+
+    const firmware = decodeFirmware(await device.query('getFirmwareVersion'));
+    results.push({
+        test: 'Firmware query',
+        passed: firmware != null,
+        detail: firmware || 'no reply',
+    });
+
+    try {
+        await device.sendControl(device.assemblePacket('redLEDOn'));
+        await sleep(ledDelay);
+        await device.sendControl(device.assemblePacket('greenLEDOn'));
+        await sleep(ledDelay);
+        results.push({ test: 'LEDs', passed: true, detail: 'red then green sent' });
+    } catch (e) {
+        results.push({ test: 'LEDs', passed: false, detail: e.message });
+    }
+
+    return results;
+};
+
+module.exports = {
+    decodeFirmware,
+    decodeModel,
+    decodeVoltage,
+    decodeParameters,
+    getDeviceInfo,
+    runSelfTest
+};
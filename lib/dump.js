@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toHexString, parsePacket, hexDump } = require('./utils');
+const { parseCsvObjects, toCsvRow } = require('./csv');
+
+// Card dumps: one swipe saved to a file so it can be written again elsewhere.
+// Every format keeps the raw bytes of each track; JSON, CSV and the hex dump
+// also carry the ISO text. A dump is { isoTracks, trackData } with trackData
+// as byte arrays, the same shape readData returns.
+//
+// Encrypted dumps (.enc) hold the JSON dump sealed with AES-256-GCM under a
+// key derived from a passphrase with scrypt. The scrypt parameters, salt and
+// IV sit in a plain header so the key can be derived again; the header is
+// authenticated along with the data, so a wrong passphrase and any change to
+// the file both fail the same way.
+
+const DUMP_FORMATS = ['json', 'csv', 'bin', 'hex', 'enc'];
+
+const SCRYPT = { N: 1 << 15, r: 8, p: 1 };
+// bounds on header parameters, so a crafted file cannot ask for gigabytes
+const MAX_SCRYPT_RP = 16;
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+
+const formatFromPath = file => {
+    const ext = path.extname(file).toLowerCase().slice(1);
+    if (ext === 'txt') return 'hex';
+    return DUMP_FORMATS.includes(ext) ? ext : null;
+};
+
+// card.bin is stored as card.t1.bin, card.t2.bin and card.t3.bin
+const binTrackPaths = file => {
+    const base = file.replace(/(\.t[123])?\.bin$/i, '');
+    return [1, 2, 3].map(n => `${base}.t${n}.bin`);
+};
+
+const isoText = text => text && text !== 'No Data' && text !== 'Corrupt Data' ? text : '';
+
+const toJson = ({ isoTracks, trackData }) => JSON.stringify({
+    format: 'msr-dump',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    isoTracks,
+    trackData: trackData.map(toHexString),
+}, null, 2) + '\n';
+
+const toCsv = ({ isoTracks, trackData }) => [
+    toCsvRow(['track', 'iso', 'hex']),
+    ...trackData.map((track, i) => toCsvRow([i + 1, isoTracks[i] || '', toHexString(track)])),
+].join('\n') + '\n';
+
+const toHexDump = ({ isoTracks, trackData }) => {
+    const lines = [`# msr card dump, ${new Date().toISOString()}`];
+    trackData.forEach((track, i) => {
+        lines.push('', `[track ${i + 1}] ${track.length} bytes`, `# iso: ${isoTracks[i] || 'No Data'}`);
+        if (track.length > 0) lines.push(hexDump(track));
+    });
+    return lines.join('\n') + '\n';
+};
+
+const deriveKey = (passphrase, kdf) => crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r,
+});
+
+// The header fields in a fixed order, used as the cipher's additional data
+const encryptionHeader = ({ kdf, cipher }) => JSON.stringify({
+    format: 'msr-encrypted-dump',
+    version: 1,
+    kdf: { name: kdf.name, N: kdf.N, r: kdf.r, p: kdf.p, salt: kdf.salt },
+    cipher: { name: cipher.name, iv: cipher.iv },
+});
+
+const toEncrypted = (dump, passphrase) => {
+    const kdf = { name: 'scrypt', ...SCRYPT, salt: crypto.randomBytes(16).toString('base64') };
+    const cipherInfo = { name: 'aes-256-gcm', iv: crypto.randomBytes(12).toString('base64') };
+    const header = encryptionHeader({ kdf, cipher: cipherInfo });
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, kdf), Buffer.from(cipherInfo.iv, 'base64'));
+    cipher.setAAD(Buffer.from(header));
+    const data = Buffer.concat([cipher.update(toJson(dump)), cipher.final()]);
+    return JSON.stringify({
+        ...JSON.parse(header),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    }, null, 2) + '\n';
+};
+
+const isBase64Of = (value, length) => typeof value == 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value) &&
+    (length == null || Buffer.from(value, 'base64').length == length);
+
+const checkEncryptionHeader = (sealed, file) => {
+    const fail = message => {
+        throw new Error(`${file} is not a valid encrypted dump: ${message}`);
+    };
+    if (!sealed || sealed.format !== 'msr-encrypted-dump') fail('missing msr-encrypted-dump header');
+    if (sealed.version !== 1) fail(`unsupported version ${sealed.version}`);
+    const { kdf, cipher } = sealed;
+    if (!kdf || kdf.name !== 'scrypt') fail('key derivation must be scrypt');
+    if (!Number.isInteger(kdf.N) || kdf.N < 2 || (kdf.N & (kdf.N - 1)) != 0) fail('scrypt N must be a power of two');
+    [kdf.r, kdf.p].forEach(value => {
+        if (!Number.isInteger(value) || value < 1 || value > MAX_SCRYPT_RP) fail(`scrypt r and p must be 1 to ${MAX_SCRYPT_RP}`);
+    });
+    if (128 * kdf.N * kdf.r > MAX_SCRYPT_MEMORY) fail('scrypt parameters need too much memory');
+    if (!isBase64Of(kdf.salt)) fail('salt is not base64');
+    if (!cipher || cipher.name !== 'aes-256-gcm') fail('cipher must be aes-256-gcm');
+    if (!isBase64Of(cipher.iv, 12)) fail('IV must be 12 bytes');
+    if (!isBase64Of(sealed.tag, 16)) fail('authentication tag must be 16 bytes');
+    if (!isBase64Of(sealed.data)) fail('data is not base64');
+};
+
+const fromEncrypted = (text, file, passphrase) => {
+    let sealed;
+    try {
+        sealed = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${file} is not valid JSON: ${e.message}`);
+    }
+    checkEncryptionHeader(sealed, file);
+    if (!passphrase) {
+        throw new Error(`${file} is encrypted, a passphrase is needed to open it`);
+    }
+    let json;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, sealed.kdf), Buffer.from(sealed.cipher.iv, 'base64'));
+        decipher.setAAD(Buffer.from(encryptionHeader(sealed)));
+        decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+        json = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (e) {
+        throw new Error(`${file} could not be decrypted: wrong passphrase, or the file has been modified`);
+    }
+    return fromJson(json, file);
+};
+
+// Writes the dump and returns the paths it created. Encrypted dumps need
+// options.passphrase.
+const saveDump = (dump, file, format = formatFromPath(file), { passphrase } = {}) => {
+    if (!DUMP_FORMATS.includes(format)) {
+        throw new Error(`Unknown dump format for ${file}, use one of ${DUMP_FORMATS.join(', ')}`);
+    }
+    if (format === 'enc') {
+        if (!passphrase) throw new Error('A passphrase is needed to write an encrypted dump');
+        fs.writeFileSync(file, toEncrypted(dump, passphrase), { mode: 0o600 });
+        return [file];
+    }
+    if (format === 'bin') {
+        const files = binTrackPaths(file);
+        files.forEach((trackFile, i) => fs.writeFileSync(trackFile, Buffer.from(dump.trackData[i])));
+        return files;
+    }
+    const writers = { json: toJson, csv: toCsv, hex: toHexDump };
+    fs.writeFileSync(file, writers[format](dump));
+    return [file];
+};
+
+const parseHex = (hex, where) => {
+    const clean = String(hex || '').replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(clean)) {
+        throw new Error(`${where} is not valid hex`);
+    }
+    return clean.length > 0 ? parsePacket(clean) : [];
+};
+
+const fromJson = (text, file) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${file} is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(data.trackData) && !Array.isArray(data.isoTracks)) {
+        throw new Error(`${file} has no trackData or isoTracks`);
+    }
+    return {
+        isoTracks: [0, 1, 2].map(i => isoText((data.isoTracks || [])[i])),
+        trackData: [0, 1, 2].map(i => parseHex((data.trackData || [])[i], `${file} track ${i + 1}`)),
+    };
+};
+
+const fromCsv = (text, file) => {
+    const dump = { isoTracks: ['', '', ''], trackData: [[], [], []] };
+    parseCsvObjects(text).forEach(row => {
+        const index = parseInt(row.track, 10) - 1;
+        if (!(index >= 0 && index < 3)) {
+            throw new Error(`${file} has a row for unknown track ${row.track}`);
+        }
+        dump.isoTracks[index] = isoText(row.iso);
+        dump.trackData[index] = parseHex(row.hex, `${file} track ${row.track}`);
+    });
+    return dump;
+};
+
+const fromHexDump = (text, file) => {
+    const dump = { isoTracks: ['', '', ''], trackData: [[], [], []] };
+    let index = -1;
+    text.split(/\r?\n/).forEach(line => {
+        const header = line.match(/^\[track ([123])\]/);
+        const iso = line.match(/^# iso: (.*)$/);
+        const row = line.match(/^[0-9a-f]{4,}  ((?:[0-9a-f]{2} ?)+)/i);
+        if (header) {
+            index = parseInt(header[1], 10) - 1;
+        } else if (iso && index >= 0) {
+            dump.isoTracks[index] = isoText(iso[1]);
+        } else if (row && index >= 0) {
+            dump.trackData[index].push(...parseHex(row[1], `${file} track ${index + 1}`));
+        }
+    });
+    return dump;
+};
+
+const fromBin = file => {
+    const files = binTrackPaths(file);
+    if (!files.some(trackFile => fs.existsSync(trackFile))) {
+        throw new Error(`No track files found for ${file} (expected ${files.join(', ')})`);
+    }
+    return {
+        isoTracks: ['', '', ''],
+        trackData: files.map(trackFile => fs.existsSync(trackFile) ? Array.from(fs.readFileSync(trackFile)) : []),
+    };
+};
+
+// Loads a dump written by saveDump. The ISO text is '' where the file has none.
+const loadDump = (file, format = formatFromPath(file), { passphrase } = {}) => {
+    if (!DUMP_FORMATS.includes(format)) {
+        throw new Error(`Unknown dump format for ${file}, use one of ${DUMP_FORMATS.join(', ')}`);
+    }
+    if (format === 'bin') return fromBin(file);
+    const text = fs.readFileSync(file, 'utf8');
+    if (format === 'enc') return fromEncrypted(text, file, passphrase);
+    const readers = { json: fromJson, csv: fromCsv, hex: fromHexDump };
+    return readers[format](text, file);
+};
+
+module.exports = {
+    DUMP_FORMATS,
+    formatFromPath,
+    binTrackPaths,
+    saveDump,
+    loadDump
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { encodings } = require('./constants');
+
+// Per-track encodings: one of the built-ins in constants.encodings, or a
+// custom alphabet loaded from a JSON file:
+//
+// {
+//   "name": "legacy-6bit",
+//   "dataBits": 6,
+//   "parity": "odd",            // odd, even or none
+//   "lrc": true,
+//   "startSentinel": "%",
+//   "endSentinel": "?",
+//   "characters": " !\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_"
+// }
+//
+// characters is either a string, where each character's code is its index,
+// or an object mapping characters to codes. Codes are sent LSB first, the
+// same way ISO codes are.
+
+const PARITIES = ['odd', 'even', 'none'];
+
+const hasOddParity = value => {
+    let count = 0;
+    for (; value; value >>>= 1) {
+        count += value & 1;
+    }
+    return count % 2 == 1;
+};
+
+// frame value for a character code: data bits reversed into send order, then parity
+const frameValue = (code, dataBits, parity) => {
+    let value = 0;
+    for (let i = 0; i < dataBits; ++i) {
+        if (code & (1 << i)) {
+            value |= 1 << (dataBits - 1 - i);
+        }
+    }
+    if (parity === 'none') return value;
+    const odd = hasOddParity(value);
+    return (value << 1) | ((parity === 'odd') !== odd ? 1 : 0);
+};
+
+const buildEncoding = (spec, source) => {
+    const fail = message => {
+        throw new Error(`Invalid encoding ${source}: ${message}`);
+    };
+    const dataBits = spec.dataBits;
+    const parity = spec.parity || 'odd';
+    if (!Number.isInteger(dataBits) || dataBits < 1) fail('dataBits must be a positive whole number');
+    if (!PARITIES.includes(parity)) fail(`parity must be one of ${PARITIES.join(', ')}`);
+    const bits = dataBits + (parity === 'none' ? 0 : 1);
+    if (bits > 8) fail('a character frame (data bits plus parity) can be at most 8 bits');
+
+    const characters = typeof spec.characters === 'string'
+        ? [...spec.characters].map((char, code) => [char, code])
+        : Object.entries(spec.characters || {});
+    if (characters.length == 0) fail('characters is empty');
+
+    const alphabet = {};
+    const inverted = {};
+    characters.forEach(([char, code]) => {
+        if (!Number.isInteger(code) || code < 0 || code >= (1 << dataBits)) {
+            fail(`code for '${char}' does not fit in ${dataBits} bits`);
+        }
+        const value = frameValue(code, dataBits, parity);
+        if (alphabet[value] !== undefined) fail(`'${char}' and '${alphabet[value]}' share code ${code}`);
+        alphabet[value.toString()] = char;
+        inverted[char] = value;
+    });
+    [spec.startSentinel, spec.endSentinel].forEach(sentinel => {
+        if (typeof sentinel != 'string' || inverted[sentinel] === undefined) {
+            fail('startSentinel and endSentinel must be characters of the alphabet');
+        }
+    });
+
+    return {
+        name: spec.name || path.basename(source, '.json'),
+        type: 'alphabet',
+        bits,
+        parity,
+        lrc: spec.lrc !== false,
+        alphabet,
+        inverted,
+        startSentinel: spec.startSentinel,
+        endSentinel: spec.endSentinel,
+        file: source,
+    };
+};
+
+const loadEncoding = (file, cwd = process.cwd()) => {
+    const resolved = path.resolve(cwd, file);
+    let spec;
+    try {
+        spec = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not load encoding ${file}: ${e.message}`);
+    }
+    return buildEncoding(spec, file);
+};
+
+const isEncodingName = value => typeof value == 'string' && (encodings[value] !== undefined || /\.json$/i.test(value));
+
+// Resolves a track's encoding setting, a built-in name or a JSON file path
+const resolveEncoding = (value, cwd) => encodings[value] || loadEncoding(value, cwd);
+
+const resolveTrackFormats = (config, cwd) => config.tracks.map(track => resolveEncoding(track.encoding, cwd));
+
+const describeEncoding = format => {
+    if (format.type === 'binary') return '8-bit binary';
+    if (format.file) return `${format.name} (${format.bits}-bit, ${format.file})`;
+    return `ISO ${format.bits}-bit`;
+};
+
+module.exports = {
+    PARITIES,
+    hasOddParity,
+    frameValue,
+    buildEncoding,
+    loadEncoding,
+    isEncodingName,
+    resolveEncoding,
+    resolveTrackFormats,
+    describeEncoding
+};
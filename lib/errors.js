@@ -0,0 +1,134 @@
+// Errors for the status bytes the MSR605X sends back after a command
+// (0x1B followed by the status). 0x30 is success; everything else is one of
+// the DeviceError classes below, each with a plain reason and what to try next.
+//
+// Operations that fail for other reasons throw an OperationError, or one of
+// its subclasses when callers need to tell the case apart. code is stable and
+// meant for programs; the message is for people.
+
+class OperationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'OperationError';
+        this.code = code;
+    }
+}
+
+// cancel() was called, e.g. ESC in the menu or POST /api/cancel
+class AbortError extends OperationError {
+    constructor(message = 'Operation aborted by user') {
+        super(message, 'CANCELLED');
+        this.name = 'AbortError';
+    }
+}
+
+// nothing came from the reader in time, usually no card was swiped
+class TimeoutError extends OperationError {
+    constructor(message = 'Timeout waiting for packet') {
+        super(message, 'TIMEOUT');
+        this.name = 'TimeoutError';
+    }
+}
+
+// the reader was unplugged or its USB connection dropped
+class DisconnectedError extends OperationError {
+    constructor(message = 'Device disconnected') {
+        super(message, 'DISCONNECTED');
+        this.name = 'DisconnectedError';
+    }
+}
+
+// the read-back swipe after a write did not match; details.verification says where
+class VerificationError extends OperationError {
+    constructor(verification) {
+        super(`Verification failed on track ${verification.failedTracks.join(', ')}`, 'VERIFY_FAILED');
+        this.name = 'VerificationError';
+        this.verification = verification;
+        this.details = { verification };
+    }
+}
+
+class DeviceError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'DeviceError';
+        this.status = status;
+        this.code = 'DEVICE_ERROR';
+        this.reason = message;
+        this.suggestion = null;
+        // whether swiping again can fix it
+        this.retryable = false;
+    }
+}
+
+class ReadWriteError extends DeviceError {
+    constructor(status = 0x31) {
+        super('Card could not be read or written', status);
+        this.name = 'ReadWriteError';
+        this.code = 'READ_WRITE_ERROR';
+        this.reason = 'card swiped too slowly or unevenly, or wrong coercivity';
+        this.suggestion = 'Swipe at a steady pace in one motion. If it keeps failing, check the card is HiCo or LoCo to match the coercivity setting.';
+        this.retryable = true;
+    }
+}
+
+class CommandFormatError extends DeviceError {
+    constructor(status = 0x32) {
+        super('Reader rejected the command format', status);
+        this.name = 'CommandFormatError';
+        this.code = 'COMMAND_FORMAT_ERROR';
+        this.reason = 'track data does not fit the current BPI/BPC settings';
+        this.suggestion = 'Shorten the track data or change the BPI/BPC settings. Swiping again will not help.';
+    }
+}
+
+class InvalidCommandError extends DeviceError {
+    constructor(status = 0x34) {
+        super('Reader does not recognise the command', status);
+        this.name = 'InvalidCommandError';
+        this.code = 'INVALID_COMMAND';
+        this.reason = 'command not supported by this reader or firmware';
+        this.suggestion = 'Check the reader is an MSR605X and see Device Info for its firmware version.';
+    }
+}
+
+class InvalidSwipeError extends DeviceError {
+    constructor(status = 0x39) {
+        super('Invalid card swipe while writing', status);
+        this.name = 'InvalidSwipeError';
+        this.code = 'INVALID_SWIPE';
+        this.reason = 'card swiped too fast, only partly, or the wrong way round';
+        this.suggestion = 'Swipe the whole card through with the stripe facing the head, in the direction marked on the reader.';
+        this.retryable = true;
+    }
+}
+
+const statusErrors = {
+    0x31: ReadWriteError,
+    0x32: CommandFormatError,
+    0x34: InvalidCommandError,
+    0x39: InvalidSwipeError,
+};
+
+// Returns the error for a status byte, or null for success and unknown bytes
+const statusError = status => {
+    const ErrorClass = statusErrors[status];
+    return ErrorClass ? new ErrorClass(status) : null;
+};
+
+const isStatusReply = received => received.length == 2 && received[0] == 0x1B && statusErrors[received[1]] !== undefined;
+
+module.exports = {
+    OperationError,
+    AbortError,
+    TimeoutError,
+    DisconnectedError,
+    VerificationError,
+    DeviceError,
+    ReadWriteError,
+    CommandFormatError,
+    InvalidCommandError,
+    InvalidSwipeError,
+    statusError,
+    isStatusReply
+};
@@ -0,0 +1,33 @@
+// Package entry point for programs that embed the driver. Nothing here loads
+// the interactive menu or its terminal dependencies; the msr command lives in
+// ../index.js.
+
+const MsrReader = require('./MsrReader');
+const MsrDevice = require('./MsrDevice');
+const { UsbTransport, SimulatedTransport, TracingTransport, ReplayTransport, listReaders } = require('./transports');
+const errors = require('./errors');
+const { loadConfig } = require('./config');
+const { saveDump, loadDump } = require('./dump');
+const { maskResult } = require('./mask');
+const { loadPlugins, identifyCard, buildTracks } = require('./plugins');
+const { loadTrace, renderTrace } = require('./trace');
+
+module.exports = {
+    MsrReader,
+    MsrDevice,
+    UsbTransport,
+    SimulatedTransport,
+    TracingTransport,
+    ReplayTransport,
+    listReaders,
+    loadConfig,
+    saveDump,
+    loadDump,
+    maskResult,
+    loadPlugins,
+    identifyCard,
+    buildTracks,
+    loadTrace,
+    renderTrace,
+    ...errors
+};
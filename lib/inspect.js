@@ -0,0 +1,145 @@
+const { toBits, readFrame, checkParity, decodeTrack, describeErrors } = require('./trackDecoder');
+const { describeEncoding } = require('./encodings');
+
+// Bit-level view of a track for working out why a card reads as corrupt: the
+// zero run before the data, every character frame with its parity, the LRC,
+// and the frame where decoding first went wrong. Frames are laid out in the
+// direction the card decoded best, so a backwards swipe reads left to right.
+
+// Frames from the decoder, or fixed-width chunks from the first 1 bit when it
+// never found a start sentinel (and for binary tracks, which have no framing)
+const frameLayout = (stream, info, format) => {
+    if (info.frames.length > 0) return info.frames;
+    const first = stream.indexOf(1);
+    const frames = [];
+    if (first < 0) return frames;
+    let end = stream.length;
+    while (end > first && stream[end - 1] == 0) --end;
+    // the last frame may run past the end of the stream, pad it with zeros
+    const padded = stream.concat(Array(format.bits).fill(0));
+    for (let offset = format.type === 'binary' ? 0 : first; offset < end; offset += format.bits) {
+        const value = readFrame(padded, offset, format.bits);
+        const parityOk = format.type === 'binary' ? null : checkParity(value, format.parity || 'odd');
+        const char = parityOk && format.alphabet ? format.alphabet[value.toString()] || null : null;
+        frames.push({ bitOffset: offset, value, parityOk, char, kind: 'data' });
+    }
+    return frames;
+};
+
+const inspectTrack = (bytes, format) => {
+    const info = decodeTrack(bytes, format);
+    const bits = toBits(bytes);
+    const stream = info.reversed ? [...bits].reverse() : bits;
+    const frames = frameLayout(stream, info, format).map((frame, index) => {
+        const errors = info.errors.filter(e => e.bitOffset === frame.bitOffset);
+        return {
+            index,
+            bitOffset: frame.bitOffset,
+            bits: stream.slice(frame.bitOffset, frame.bitOffset + format.bits).join('').padEnd(format.bits, '0'),
+            value: frame.value,
+            char: frame.char,
+            kind: frame.kind,
+            parityOk: frame.parityOk,
+            error: errors.length > 0 ? describeErrors(errors) : null,
+        };
+    });
+
+    const dataStart = frames.length > 0 ? frames[0].bitOffset : stream.length;
+    const dataEnd = frames.length > 0 ? frames[frames.length - 1].bitOffset + format.bits : stream.length;
+    const firstError = info.errors[0] || null;
+    let brokenAt = null;
+    if (firstError) {
+        const frame = frames.find(f => f.bitOffset === firstError.bitOffset);
+        brokenAt = { frame: frame ? frame.index : null, bitOffset: firstError.bitOffset, message: firstError.message };
+    }
+
+    return {
+        encoding: describeEncoding(format),
+        frameBits: format.bits,
+        status: info.status,
+        text: info.text,
+        reversed: info.reversed,
+        lrcValid: info.lrcValid,
+        totalBits: stream.length,
+        leadingBits: dataStart,
+        leadingZeros: stream.slice(0, dataStart).every(bit => bit == 0),
+        frames,
+        trailingBits: Math.max(0, stream.length - dataEnd),
+        trailingOnes: stream.slice(dataEnd).filter(bit => bit == 1).length,
+        errors: info.errors.map(({ position, bitOffset, type, message }) => ({ position, bitOffset, type, message })),
+        brokenAt,
+    };
+};
+
+const inspectCard = (trackData, formats) => trackData.map((bytes, i) => ({ track: i + 1, ...inspectTrack(bytes, formats[i]) }));
+
+const identity = text => text;
+
+// style maps the parts of the view to functions that decorate them, e.g. chalk colours
+const plainStyle = {
+    heading: identity,
+    dim: identity,
+    zeros: identity,
+    sentinel: identity,
+    lrc: identity,
+    good: identity,
+    bad: identity,
+};
+
+const frameLabel = frame => {
+    if (frame.kind === 'start') return 'start sentinel';
+    if (frame.kind === 'end') return 'end sentinel';
+    if (frame.kind === 'lrc') return 'LRC';
+    return '';
+};
+
+const renderTrack = (inspection, style = plainStyle) => {
+    const s = { ...plainStyle, ...style };
+    const lines = [];
+    const state = inspection.status === 'ok' ? s.good('ok') : inspection.status === 'empty' ? s.dim('empty') : s.bad('corrupt');
+    lines.push(s.heading(`Track ${inspection.track}`) + ` · ${inspection.encoding} · ${inspection.totalBits} bits · ${state}` +
+        (inspection.reversed ? ' · swiped backwards' : ''));
+    if (inspection.status === 'empty') {
+        return lines.join('\n');
+    }
+
+    const lead = `${inspection.leadingBits} bit${inspection.leadingBits == 1 ? '' : 's'}`;
+    lines.push(s.zeros(`  leading zeros: ${lead}`) + (inspection.leadingZeros ? '' : s.bad(' (contains 1 bits: noise before the data)')));
+    lines.push(s.dim(`   #   bit  ${'frame'.padEnd(inspection.frameBits)}  char  parity`));
+    inspection.frames.forEach(frame => {
+        const broken = inspection.brokenAt && inspection.brokenAt.frame === frame.index;
+        // masked frames have no bits to show
+        let bits = frame.bits != null ? frame.bits : '*'.repeat(inspection.frameBits);
+        if (frame.kind === 'start' || frame.kind === 'end') bits = s.sentinel(bits);
+        else if (frame.kind === 'lrc') bits = s.lrc(bits);
+        else if (frame.parityOk === false || frame.error) bits = s.bad(bits);
+        const char = frame.char != null ? JSON.stringify(frame.char).slice(1, -1) : frame.kind === 'lrc' || frame.parityOk == null ? '' : '·';
+        const parity = frame.parityOk == null ? '' : frame.parityOk ? s.good('ok ') : s.bad('BAD');
+        const notes = [frameLabel(frame), frame.error].filter(note => note).join(', ');
+        lines.push(
+            `${String(frame.index).padStart(4)} ${String(frame.bitOffset).padStart(5)}  ${bits}  ${char.padEnd(4)}  ${parity}` +
+            (notes ? `  ${frame.error ? s.bad(notes) : s.dim(notes)}` : '') +
+            (broken ? s.bad('  <- decoding broke here') : '')
+        );
+    });
+    if (inspection.brokenAt && inspection.brokenAt.frame === null) {
+        const where = inspection.brokenAt.bitOffset != null ? `at bit ${inspection.brokenAt.bitOffset}` : 'before the first frame';
+        lines.push(s.bad(`  decoding broke ${where}: ${inspection.brokenAt.message}`));
+    }
+    if (inspection.lrcValid !== null) {
+        lines.push(`  LRC: ${inspection.lrcValid ? s.good('valid') : s.bad('invalid')}`);
+    }
+    lines.push(s.zeros(`  trailing bits: ${inspection.trailingBits}`) +
+        (inspection.trailingOnes > 0 ? s.bad(` (${inspection.trailingOnes} set: data or noise after the track)`) : ''));
+    return lines.join('\n');
+};
+
+const renderInspection = (inspections, style) => inspections.map(inspection => renderTrack(inspection, style)).join('\n\n');
+
+module.exports = {
+    inspectTrack,
+    inspectCard,
+    plainStyle,
+    renderTrack,
+    renderInspection
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { toHexString } = require('./utils');
+
+const defaultLibraryPath = () => path.join(os.homedir(), '.msr', 'library.json');
+
+// Saved card reads, kept as one JSON file. Raw track data is stored as hex so
+// an entry can be written back byte for byte without the original card. The
+// file holds full card data, so only its owner may read it.
+class CardLibrary {
+    constructor(file = defaultLibraryPath()) {
+        this.file = file;
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return [];
+        // libraries saved before it was restricted
+        try { fs.chmodSync(this.file, 0o600); } catch (e) {}
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            return Array.isArray(data.cards) ? data.cards : [];
+        } catch (e) {
+            throw new Error(`Could not read card library ${this.file}: ${e.message}`);
+        }
+    }
+
+    save(cards) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: 1, cards }, null, 2) + '\n', { mode: 0o600 });
+        // mode only applies to a new file, a leftover temp file keeps its own
+        fs.chmodSync(tmp, 0o600);
+        fs.renameSync(tmp, this.file);
+    }
+
+    list() {
+        return this.load().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Matches the query against name, tags, notes and ISO track text; tag narrows to an exact tag.
+    search(query = '', tag = null) {
+        const needle = query.toLowerCase();
+        return this.list().filter(card => {
+            if (tag && !card.tags.includes(tag)) return false;
+            if (!needle) return true;
+            return [card.name, card.notes, ...card.tags, ...card.isoTracks]
+                .some(field => String(field || '').toLowerCase().includes(needle));
+        });
+    }
+
+    // Accepts a full id or a unique prefix of one
+    get(id) {
+        const matches = this.load().filter(card => card.id === id || card.id.startsWith(id));
+        if (matches.length > 1 && !matches.some(card => card.id === id)) {
+            throw new Error(`Card id ${id} is ambiguous`);
+        }
+        return matches.find(card => card.id === id) || matches[0] || null;
+    }
+
+    add({ name, tags = [], notes = '', isoTracks, trackData }) {
+        const cards = this.load();
+        const card = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: name || `Card ${new Date().toISOString()}`,
+            tags: tags.map(tag => tag.trim()).filter(tag => tag.length > 0),
+            notes,
+            createdAt: new Date().toISOString(),
+            isoTracks: [...isoTracks],
+            trackData: trackData.map(track => typeof track == 'string' ? track : toHexString(track)),
+        };
+        cards.push(card);
+        this.save(cards);
+        return card;
+    }
+
+    remove(id) {
+        const card = this.get(id);
+        if (!card) return null;
+        this.save(this.load().filter(c => c.id !== card.id));
+        return card;
+    }
+}
+
+const libraryFromConfig = (config = {}) => new CardLibrary((config.library && config.library.path) || defaultLibraryPath());
+
+const parseTags = value => String(value || '').split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+
+module.exports = {
+    CardLibrary,
+    defaultLibraryPath,
+    libraryFromConfig,
+    parseTags
+};
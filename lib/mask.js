@@ -0,0 +1,193 @@
+// Masks account numbers and cardholder names in decoded track text before it
+// is displayed, so a read on a shared screen does not give the card away.
+// Masking keeps the length of the text: every hidden character becomes '*'.
+// It only touches what is shown; dumps, the library and writes keep the real
+// data. --reveal turns it off for a session.
+
+const MASK = '*';
+const KEEP_DIGITS = 4;
+
+// '~' stands in for characters that failed to decode; the format code is B
+// on payment cards, but any letter (or an undecoded one) keeps the layout
+const TRACK1_LAYOUT = /^([%~]?[A-Z~])([\d~ ]{1,19})\^([^^]{0,26})\^([\d~]{0,7})(.*?)(\??)$/;
+const NAME_FIELD = /\^([^^]*)\^/g;
+const TRACK2_LAYOUT = /^(;?)([\d~]{1,19})=([\d~]{0,7})(.*?)(\??)$/;
+const ACCOUNT_LIKE = /[\d~]{8,}/g;
+
+// Masks all but the last `keep` digits, leaving spaces and the '/' of names in place
+const hide = (value, keep = 0) => {
+    let kept = 0;
+    return [...value].reverse().map(char => {
+        if (/\d/.test(char) && kept < keep) {
+            ++kept;
+            return char;
+        }
+        return /[\s/]/.test(char) ? char : MASK;
+    }).reverse().join('');
+};
+
+// Track 1 is %B<account>^<NAME>^<YYMM><service code><discretionary>?, track 2
+// ;<account>=<YYMM><service code><discretionary>?. The expiry and service code
+// stay readable; anything else that looks like an account number is masked,
+// and so is anything between two '^', where track 1 keeps the name.
+const maskText = (text) => {
+    if (typeof text != 'string' || !text || text === 'No Data' || text === 'Corrupt Data') return text;
+    let match = text.match(TRACK1_LAYOUT);
+    if (match) {
+        const [, start, account, name, expiry, discretionary, end] = match;
+        return `${start}${hide(account, KEEP_DIGITS)}^${hide(name)}^${expiry}${hide(discretionary)}${end}`;
+    }
+    match = text.match(TRACK2_LAYOUT);
+    if (match) {
+        const [, start, account, expiry, discretionary, end] = match;
+        return `${start}${hide(account, KEEP_DIGITS)}=${expiry}${hide(discretionary)}${end}`;
+    }
+    return text.replace(ACCOUNT_LIKE, run => hide(run, KEEP_DIGITS)).replace(NAME_FIELD, (field, name) => `^${hide(name)}^`);
+};
+
+// Card format fields say how they are masked: 'all', or 'last4' for numbers
+// that keep their last four digits (see ./plugins)
+const maskField = (value, mask) => {
+    if (typeof value != 'string' || !mask) return value;
+    return hide(value, mask === 'last4' ? KEEP_DIGITS : 0);
+};
+
+// Values a format marks as private, wherever they show in the track text
+const fieldHider = format => {
+    const fields = format && format.fields ? format.fields.filter(field => field.mask && field.value) : [];
+    return text => typeof text == 'string'
+        ? fields.reduce((shown, field) => shown.split(field.value).join(maskField(field.value, field.mask)), text)
+        : text;
+};
+
+const maskFormat = format => format && format.fields
+    ? { ...format, fields: format.fields.map(field => ({ ...field, value: maskField(field.value, field.mask) })) }
+    : format;
+
+// Binary tracks decode to hex, which is not text to mask
+const isText = format => !format || format.type !== 'binary';
+
+const maskTrack = (text, format) => isText(format) ? maskText(text) : text;
+
+const maskTracks = (tracks, formats = []) => tracks.map((text, i) => maskTrack(text, formats[i]));
+
+const maskTrackInfo = (info, format) => info && info.text ? { ...info, text: maskTrack(info.text, format) } : info;
+
+// Verification reasons quote the text that was read and expected, and
+// isoTracks is the text of the read-back swipe
+const maskVerification = (verification, formats = []) => verification && {
+    ...verification,
+    ...(Array.isArray(verification.isoTracks) ? { isoTracks: maskTracks(verification.isoTracks, formats) } : {}),
+    tracks: verification.tracks.map(track => track.reason
+        ? { ...track, reason: track.reason.replace(/"([^"]*)"/g, (quoted, text) => `"${maskText(text)}"`) }
+        : track),
+};
+
+// Masks the characters of a bit-level inspection. The bits and value of a
+// masked frame would give its character straight back, so they become null;
+// the other frames are shown as read, that being the point of the view.
+const maskInspection = (inspections, formats = []) => inspections.map((inspection, i) => {
+    if (!isText(formats[i]) || !inspection.text) return inspection;
+    const charFrames = inspection.frames.filter(frame => frame.kind !== 'lrc');
+    const read = charFrames.map(frame => frame.char || '~').join('');
+    const chars = maskText(read);
+    const hiddenFrames = new Set(charFrames.filter((frame, n) => chars[n] !== read[n]));
+    return {
+        ...inspection,
+        text: maskText(inspection.text),
+        frames: inspection.frames.map(frame => hiddenFrames.has(frame)
+            ? { ...frame, char: frame.char ? MASK : null, value: null, bits: null }
+            : frame),
+    };
+});
+
+// A track that did not decode cleanly cannot be masked character by
+// character, yet its raw bytes may still hold an account number
+const undecoded = (result, i) => {
+    const info = Array.isArray(result.trackInfo) ? result.trackInfo[i] : null;
+    if (info && info.status) return info.status === 'corrupt';
+    const text = Array.isArray(result.isoTracks) ? result.isoTracks[i] : null;
+    return text === 'Corrupt Data' || (typeof text == 'string' && text.includes('~'));
+};
+
+const hasBytes = raw => raw != null && raw.length > 0;
+
+// Masks a command or server result: ISO text, decoded track info, library
+// cards, inspections, card format fields and verification details. The raw
+// bytes of a masked track would give the data straight back, as would those
+// of a text track that did not decode, so their trackData entries become
+// null. Sets masked: true when anything was hidden.
+const maskResult = (result, formats = []) => {
+    const masked = { ...result };
+    const hidden = [false, false, false];
+    const hideFields = fieldHider(masked.format);
+    const hideText = (text, i) => isText(formats[i]) ? hideFields(text) : text;
+    const maskKey = key => {
+        const before = masked[key];
+        masked[key] = maskTracks(before.map(hideText), formats);
+        masked[key].forEach((text, i) => {
+            if (text !== before[i]) hidden[i] = true;
+        });
+    };
+
+    if (Array.isArray(masked.isoTracks)) maskKey('isoTracks');
+    if (Array.isArray(masked.tracks) && masked.tracks.every(track => typeof track == 'string')) maskKey('tracks');
+    if (Array.isArray(masked.tracks) && masked.tracks.every(track => track && track.frames)) {
+        const before = masked.tracks;
+        masked.tracks = maskInspection(before, formats);
+        masked.tracks.forEach((inspection, i) => {
+            if (inspection.text !== before[i].text) hidden[i] = true;
+        });
+    }
+    if (Array.isArray(masked.trackInfo)) {
+        masked.trackInfo = masked.trackInfo.map((info, i) => {
+            const maskedInfo = maskTrackInfo(info && info.text ? { ...info, text: hideText(info.text, i) } : info, formats[i]);
+            if (maskedInfo.text !== info.text) hidden[i] = true;
+            return maskedInfo;
+        });
+    }
+    if (Array.isArray(masked.trackData)) {
+        masked.trackData.forEach((raw, i) => {
+            if (isText(formats[i]) && hasBytes(raw) && undecoded(result, i)) hidden[i] = true;
+        });
+        masked.trackData = masked.trackData.map((raw, i) => hidden[i] ? null : raw);
+    }
+    let cardMasked = false;
+    if (masked.card && masked.card.isoTracks) {
+        const { masked: changed, ...card } = maskResult(masked.card, formats);
+        masked.card = card;
+        cardMasked = changed === true;
+    }
+    if (Array.isArray(masked.cards)) {
+        masked.cards = masked.cards.map(entry => {
+            const { masked: changed, ...card } = maskResult(entry, formats);
+            if (changed === true) cardMasked = true;
+            return card;
+        });
+    }
+    if (masked.verification) {
+        const before = masked.verification;
+        masked.verification = maskVerification(before, formats);
+        if (JSON.stringify(masked.verification) !== JSON.stringify(before)) cardMasked = true;
+    }
+    let formatMasked = false;
+    if (masked.format) {
+        const before = masked.format;
+        masked.format = maskFormat(before);
+        formatMasked = !!before.fields && before.fields.some((field, i) => field.value !== masked.format.fields[i].value);
+    }
+    if (cardMasked || formatMasked || hidden.some(track => track)) masked.masked = true;
+    return masked;
+};
+
+module.exports = {
+    maskText,
+    maskTrack,
+    maskTracks,
+    maskTrackInfo,
+    maskVerification,
+    maskField,
+    maskFormat,
+    maskResult,
+    maskInspection
+};
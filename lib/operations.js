@@ -0,0 +1,117 @@
+const fs = require('fs');
+const { trackLengthInches } = require('./constants');
+const { parsePacket } = require('./utils');
+const { compareReadBack } = require('./verify');
+const { DeviceError, OperationError, TimeoutError } = require('./errors');
+
+// Card operations shared by the scripting commands, the HTTP server and
+// MsrReader. They drive an already connected MsrDevice and leave resetting it
+// to the caller.
+
+// Encodes each track's text with the device's per-track encoding; empty tracks are blanked
+const encodeIsoTracks = async (device, tracks) => {
+    try {
+        return await Promise.all([0, 1, 2].map(i => tracks[i] ? device.encodeTrack(device.trackFormats[i], tracks[i]) : [0]));
+    } catch (e) {
+        throw new OperationError(e.message, 'INVALID_INPUT');
+    }
+};
+
+// An empty string (or "none") skips the track: it is sent with no data.
+const parseHexTrack = (hex, trackNum) => {
+    const clean = String(hex || '').replace(/\s+/g, '');
+    if (clean.toLowerCase() === 'none') return [];
+    if (!/^([0-9a-fA-F]{2})*$/.test(clean)) {
+        throw new OperationError(`Track ${trackNum} is not a valid hex string`, 'INVALID_INPUT');
+    }
+    return clean.length > 0 ? parsePacket(clean) : [];
+};
+
+const readBinaryTrack = (file, trackNum) => {
+    try {
+        return Array.from(fs.readFileSync(file));
+    } catch (e) {
+        throw new OperationError(`Could not read track ${trackNum} file ${file}: ${e.message}`, 'INVALID_INPUT');
+    }
+};
+
+const trackByteBudget = (config, index) => Math.min(255, Math.floor(trackLengthInches * config.tracks[index].bpi / 8));
+
+const checkTrackBudget = (trackData, config) => {
+    trackData.forEach((track, i) => {
+        const budget = trackByteBudget(config, i);
+        if (track.length > budget) {
+            throw new OperationError(
+                `Track ${i + 1} is ${track.length} bytes, at ${config.tracks[i].bpi} BPI it holds at most ${budget}`,
+                'INVALID_INPUT'
+            );
+        }
+    });
+};
+
+const readCard = async (device, { timeout = 0 } = {}) => {
+    try {
+        return await device.readSwipe(timeout);
+    } catch (e) {
+        if (e instanceof TimeoutError) {
+            throw new TimeoutError('Timed out waiting for card swipe');
+        }
+        throw e;
+    }
+};
+
+// Retries swipe problems (and silence from the reader); device errors that a
+// second swipe cannot fix are thrown straight away. onRetry gets the device
+// error behind the failed attempt, if there was one.
+const withRetries = async (verb, run, { attempts = 3, onRetry = () => {} } = {}) => {
+    let lastError = null;
+    for (let i = 0; i < attempts; ++i) {
+        try {
+            if (await run()) {
+                return i + 1;
+            }
+            lastError = null;
+        } catch (e) {
+            if (!(e instanceof DeviceError) || !e.retryable) throw e;
+            lastError = e;
+        }
+        onRetry(i + 1, attempts, lastError);
+    }
+    const error = new OperationError(
+        `Failed to ${verb} after ${attempts} attempts` + (lastError ? `: ${lastError.reason}` : ''),
+        'WRITE_FAILED'
+    );
+    if (lastError) {
+        error.reason = lastError.reason;
+        error.suggestion = lastError.suggestion;
+    }
+    throw error;
+};
+
+// A reader unplugged while waiting for the swipe does not use up an attempt;
+// with autoReconnect the wait starts again once it is back
+const writeCard = (device, trackData, options) =>
+    withRetries('write', () => device.retryAfterReconnect(() => device.writeRawData(trackData)), options);
+
+const eraseCard = (device, tracks, options) =>
+    withRetries('erase', () => device.retryAfterReconnect(() => device.eraseTracks(tracks)), options);
+
+// Second swipe after a write; expected comes from verify.expectFromWrite/expectErased
+const verifyWrite = async (device, expected, { timeout = 0 } = {}) => {
+    await device.reset();
+    const readBack = await readCard(device, { timeout });
+    return { ...compareReadBack(expected, readBack), isoTracks: readBack.isoTracks };
+};
+
+module.exports = {
+    OperationError,
+    encodeIsoTracks,
+    parseHexTrack,
+    readBinaryTrack,
+    trackByteBudget,
+    checkTrackBudget,
+    readCard,
+    writeCard,
+    eraseCard,
+    verifyWrite
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+// Card format plugins turn the ISO text of a card programme into named fields
+// and back. They are listed in .msrrc.json:
+//
+//   { "plugins": ["badge", "./msr-plugins", "msr-plugin-acme"] }
+//
+// Each entry is a built-in plugin name (see ./plugins), a file, a directory
+// whose .js files are all plugins, or an npm package installed next to the
+// config. Paths and packages are resolved against the directory of the
+// .msrrc.json that lists them (cwd below). A module exports one plugin or an
+// array of them:
+//
+//   {
+//     name: 'badge',                  // shown in results, must be unique
+//     label: 'Site access badge',     // shown to people, defaults to name
+//     recognize(card) -> boolean,     // does this card use the layout?
+//     parse(card) -> { field: value, ... },
+//     fields: [                       // the form for writing, optional
+//       { name, label, hint, pattern, required, default, mask }
+//     ],
+//     build(values) -> [track1, track2, track3],   // needed with fields
+//     validate(values) -> message or null,         // optional, across fields
+//     labels: { field: label, ... },   // for parsed values not in the form
+//   }
+//
+// card is { isoTracks, trackData } as a read returns it. hint is shown next to
+// the label when the form asks for the value. pattern is a regular
+// expression (or its source) the value must match. mask is 'all' or 'last4'
+// for values that are masked on screen, like the account number and name of
+// a payment card; masked values are hidden in the track text as well. See
+// ./plugins/badge.js for a complete plugin.
+
+const builtinPlugins = {
+    badge: require('./plugins/badge'),
+};
+
+const checkPlugin = (plugin, source) => {
+    const fail = message => {
+        throw new Error(`Invalid plugin ${source}: ${message}`);
+    };
+    if (!plugin || typeof plugin.name != 'string' || !plugin.name) fail('name is missing');
+    if (typeof plugin.recognize != 'function' || typeof plugin.parse != 'function') fail('recognize and parse must be functions');
+    if (plugin.fields !== undefined) {
+        if (!Array.isArray(plugin.fields) || plugin.fields.some(field => !field || typeof field.name != 'string')) {
+            fail('fields must be a list of { name, ... }');
+        }
+        if (typeof plugin.build != 'function') fail('build must be a function when there are fields');
+    }
+    return { label: plugin.name, ...plugin, source };
+};
+
+const requireModule = (file, entry) => {
+    try {
+        return require(file);
+    } catch (e) {
+        // without node's require stack
+        throw new Error(`Could not load plugin ${entry}: ${e.message.split('\n')[0]}`);
+    }
+};
+
+const isPath = entry => entry.startsWith('.') || path.isAbsolute(entry);
+
+// The plugin modules behind one config entry
+const loadEntry = (entry, cwd) => {
+    if (builtinPlugins[entry]) return [[builtinPlugins[entry], entry]];
+    if (!isPath(entry)) {
+        let resolved;
+        try {
+            resolved = require.resolve(entry, { paths: [cwd] });
+        } catch (e) {
+            throw new Error(`Could not load plugin ${entry}: no built-in plugin or installed package by that name`);
+        }
+        return [[requireModule(resolved, entry), entry]];
+    }
+    const resolved = path.resolve(cwd, entry);
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory() && !fs.existsSync(path.join(resolved, 'package.json'))) {
+        return fs.readdirSync(resolved).filter(file => file.endsWith('.js')).sort()
+            .map(file => [requireModule(path.join(resolved, file), path.join(entry, file)), path.join(entry, file)]);
+    }
+    return [[requireModule(resolved, entry), entry]];
+};
+
+const loadPlugins = (entries = [], cwd = process.cwd()) => {
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry != 'string')) {
+        throw new Error('plugins in .msrrc.json must be a list of names or paths');
+    }
+    const plugins = [];
+    entries.forEach(entry => loadEntry(entry, cwd).forEach(([exported, source]) => {
+        (Array.isArray(exported) ? exported : [exported]).forEach(plugin => {
+            const checked = checkPlugin(plugin, source);
+            if (plugins.some(other => other.name === checked.name)) {
+                throw new Error(`Invalid plugin ${source}: another plugin is already called ${checked.name}`);
+            }
+            plugins.push(checked);
+        });
+    }));
+    return plugins;
+};
+
+const fieldDefinition = (plugin, name) => (plugin.fields || []).find(field => field.name === name) ||
+    { name, label: plugin.labels && plugin.labels[name] };
+
+// Runs the first plugin that recognises the card. Returns null when none
+// does, and { plugin, error } when the plugin itself fails, so a broken
+// plugin never stops a read.
+const identifyCard = (plugins, card) => {
+    for (const plugin of plugins) {
+        try {
+            if (!plugin.recognize(card)) continue;
+            const parsed = plugin.parse(card) || {};
+            return {
+                plugin: plugin.name,
+                label: plugin.label,
+                fields: Object.entries(parsed).map(([name, value]) => {
+                    const definition = fieldDefinition(plugin, name);
+                    return { name, label: definition.label || name, value: value == null ? null : String(value), mask: definition.mask || null };
+                }),
+            };
+        } catch (e) {
+            return { plugin: plugin.name, label: plugin.label, error: e.message, fields: [] };
+        }
+    }
+    return null;
+};
+
+// Problem with one form value, or null
+const checkField = (field, value) => {
+    if (!value) return field.required ? `${field.label || field.name} is required` : null;
+    if (field.pattern && !new RegExp(field.pattern).test(value)) {
+        return `${field.label || field.name} does not have the expected format`;
+    }
+    return null;
+};
+
+// Turns a filled-in form into the three tracks' ISO text ('' leaves a track blank)
+const buildTracks = (plugin, values) => {
+    const problems = plugin.fields.map(field => checkField(field, values[field.name])).filter(problem => problem);
+    const crossCheck = plugin.validate ? plugin.validate(values) : null;
+    if (crossCheck) problems.push(crossCheck);
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+    const tracks = plugin.build(values);
+    if (!Array.isArray(tracks) || tracks.length != 3) {
+        throw new Error(`Plugin ${plugin.name} did not build three tracks`);
+    }
+    return tracks.map(track => track || '');
+};
+
+module.exports = {
+    builtinPlugins,
+    loadPlugins,
+    identifyCard,
+    checkField,
+    buildTracks
+};
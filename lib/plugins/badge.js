@@ -0,0 +1,60 @@
+// Reference plugin: a site access badge. It shows what a plugin looks like;
+// copy it as a starting point for your own card layouts.
+//
+//   track 1  %DOE/JANE^FACILITIES?          holder name ^ department
+//   track 2  ;0042=12345674=3?              site = badge number = access level
+//
+// The badge number ends in a Luhn check digit, which build() adds and parse()
+// checks.
+
+const TRACK1 = /^%([^^?]{1,26})\^([^^?]{0,20})\?$/;
+const TRACK2 = /^;(\d{4})=(\d{8})=(\d)\?$/;
+
+const luhnDigit = digits => {
+    let sum = 0;
+    [...digits].reverse().forEach((char, i) => {
+        let value = Number(char);
+        if (i % 2 == 0) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        sum += value;
+    });
+    return String((10 - (sum % 10)) % 10);
+};
+
+module.exports = {
+    name: 'badge',
+    label: 'Site access badge',
+
+    fields: [
+        { name: 'holder', label: 'Holder name', hint: 'SURNAME/FIRST', pattern: '^[A-Z ./-]{1,26}$', required: true, mask: 'all' },
+        { name: 'department', label: 'Department', pattern: '^[A-Z0-9 .-]{0,20}$' },
+        { name: 'site', label: 'Site code', hint: '4 digits', pattern: '^\\d{4}$', required: true },
+        { name: 'badge', label: 'Badge number', hint: '7 digits, the check digit is added', pattern: '^\\d{7}$', required: true, mask: 'last4' },
+        { name: 'level', label: 'Access level', hint: '0-9', pattern: '^\\d$', required: true, default: '1' },
+    ],
+
+    labels: { checkDigit: 'Check digit' },
+
+    recognize: ({ isoTracks }) => TRACK2.test(isoTracks[1]),
+
+    parse: ({ isoTracks }) => {
+        const [, site, badge, level] = isoTracks[1].match(TRACK2);
+        const holder = isoTracks[0].match(TRACK1);
+        return {
+            holder: holder ? holder[1] : null,
+            department: holder ? holder[2] : null,
+            site,
+            badge,
+            level,
+            checkDigit: luhnDigit(badge.slice(0, 7)) === badge[7] ? 'ok' : 'wrong',
+        };
+    },
+
+    build: ({ holder, department = '', site, badge, level }) => [
+        `%${holder}^${department}?`,
+        `;${site}=${badge}${luhnDigit(badge)}=${level}?`,
+        '',
+    ],
+};
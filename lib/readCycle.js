@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { trimmedBits } = require('./verify');
+const { DeviceError, AbortError, TimeoutError } = require('./errors');
+
+// Continuous reading for a door or a check-in desk: the reader is armed again
+// after every swipe and each result goes to one or more sinks. A sink is an
+// object with write(record) and close() -> Promise; records are
+//
+//   { seq, timestamp, isoTracks, trackData, trackInfo, format }   for a card
+//   { seq, timestamp, error }                                     for a failed swipe
+//
+// format is what a card format plugin made of the card, when one knew it.
+//
+// The caller decides what goes into a record (masked text, hex tracks).
+
+const ERROR_PAUSE = 1000;
+
+// One line per swipe for people watching a terminal
+const prettySink = print => ({
+    write(record) {
+        const time = record.timestamp.slice(11, 19);
+        if (record.error) {
+            print(`#${record.seq}  ${time}  error: ${record.error}`);
+            return;
+        }
+        const tracks = record.isoTracks.map((text, i) => `T${i + 1} ${text || 'No Data'}`).join('  ');
+        print(`#${record.seq}  ${time}  ${tracks}${record.format ? `  (${record.format.label})` : ''}`);
+    },
+    close: async () => {},
+});
+
+// NDJSON, one record per line
+const streamSink = write => ({
+    write: record => write(JSON.stringify(record)),
+    close: async () => {},
+});
+
+const appendSink = file => ({
+    write: record => fs.appendFileSync(file, JSON.stringify(record) + '\n'),
+    close: async () => {},
+});
+
+// Starts command in a shell and feeds it NDJSON on stdin. A command that goes
+// away stops the cycle, through onError.
+const pipeSink = (command, onError) => {
+    const child = spawn(command, { shell: true, stdio: ['pipe', 'inherit', 'inherit'] });
+    let failed = false;
+    let closing = false;
+    const fail = message => {
+        if (failed) return;
+        failed = true;
+        onError(new Error(`${command}: ${message}`));
+    };
+    const exited = new Promise(resolve => child.once('close', code => {
+        if (code !== 0) fail(`exited with code ${code}`);
+        else if (!closing) fail('exited before the cycle ended');
+        resolve();
+    }));
+    child.on('error', e => fail(e.message));
+    child.stdin.on('error', e => fail(e.code === 'EPIPE' ? 'stopped reading its input' : e.message));
+    return {
+        write: record => {
+            if (!failed) child.stdin.write(JSON.stringify(record) + '\n');
+        },
+        close: () => {
+            closing = true;
+            child.stdin.end();
+            return exited;
+        },
+    };
+};
+
+const sameCard = (a, b) => !!a && !!b && a.trackData.every((track, i) => trimmedBits(track) === trimmedBits(b.trackData[i]));
+
+// Reads cards until cancel(), the idle timeout or limit swipes (repeats and
+// failed swipes count too). toRecord turns a readData result into what the
+// sinks get. With dedupe, a swipe of the same card as the one before is
+// counted but not passed on; dedupe is true for always, or the number of
+// milliseconds within which a repeat is dropped. onSwipe(card, { seq,
+// duplicate }) sees every card, duplicates included.
+const runReadCycle = async (device, sinks, { toRecord, timeout = 0, dedupe = false, limit = 0, onSwipe = () => {} } = {}) => {
+    const summary = { reads: 0, duplicates: 0, errors: 0 };
+    let last = null;
+    let lastAt = 0;
+    let seq = 0;
+    const send = record => sinks.forEach(sink => sink.write(record));
+
+    try {
+        while (!(limit > 0 && summary.reads + summary.duplicates + summary.errors >= limit)) {
+            let card;
+            try {
+                card = await device.readSwipe(timeout);
+            } catch (e) {
+                if (e instanceof AbortError) break;
+                // idle for the whole timeout: the desk has closed
+                if (e instanceof TimeoutError) break;
+                if (!(e instanceof DeviceError) && !device.connected && !device.reconnecting) throw e;
+                ++summary.errors;
+                send({ seq: ++seq, timestamp: new Date().toISOString(), error: e.message });
+                await new Promise(resolve => setTimeout(resolve, ERROR_PAUSE));
+                continue;
+            } finally {
+                try { await device.reset(); } catch (e) {}
+            }
+
+            const now = Date.now();
+            const duplicate = dedupe !== false && sameCard(card, last) && (dedupe === true || now - lastAt <= dedupe);
+            last = card;
+            lastAt = now;
+            if (duplicate) {
+                ++summary.duplicates;
+                onSwipe(card, { seq, duplicate: true });
+                continue;
+            }
+            ++summary.reads;
+            onSwipe(card, { seq: ++seq, duplicate: false });
+            send({ seq, timestamp: new Date().toISOString(), ...toRecord(card) });
+        }
+    } finally {
+        await Promise.all(sinks.map(sink => sink.close()));
+    }
+    return summary;
+};
+
+module.exports = {
+    prettySink,
+    streamSink,
+    appendSink,
+    pipeSink,
+    runReadCycle
+};
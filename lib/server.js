@@ -0,0 +1,316 @@
+const http = require('http');
+const express = require('express');
+const cors = require('cors');
+const { Server } = require('socket.io');
+const { toHexString } = require('./utils');
+const { summarizeTrack } = require('./trackDecoder');
+const { OperationError, AbortError, VerificationError } = require('./errors');
+const {
+    encodeIsoTracks,
+    parseHexTrack,
+    checkTrackBudget,
+    readCard,
+    writeCard,
+    eraseCard,
+    verifyWrite
+} = require('./operations');
+const { expectFromWrite, expectErased } = require('./verify');
+const { deviceIdentity } = require('./audit');
+const { maskResult } = require('./mask');
+const { identifyCard } = require('./plugins');
+
+// browsers on this machine only, unless an explicit origin is configured
+const localOrigin = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+const localHosts = ['localhost', '127.0.0.1', '[::1]'];
+
+const httpStatus = {
+    INVALID_INPUT: 400,
+    TIMEOUT: 408,
+    FORBIDDEN_HOST: 403,
+    FORBIDDEN_ORIGIN: 403,
+    UNSUPPORTED_MEDIA_TYPE: 415,
+    BUSY: 409,
+    CANCELLED: 409,
+    WRITE_FAILED: 502,
+    VERIFY_FAILED: 422,
+    COMMAND_FORMAT_ERROR: 422,
+    READ_WRITE_ERROR: 502,
+    INVALID_SWIPE: 502,
+    INVALID_COMMAND: 502,
+    NOT_CONNECTED: 503,
+    DISCONNECTED: 503,
+};
+
+const parseOrigin = origin => {
+    if (!origin) return localOrigin;
+    if (origin === '*') return '*';
+    return String(origin).split(',').map(o => o.trim());
+};
+
+const originAllowed = (origin, header) => {
+    if (!header || origin === '*') return true;
+    return origin instanceof RegExp ? origin.test(header) : origin.includes(header);
+};
+
+// Name in a Host header, without the port
+const hostName = header => String(header || '').toLowerCase().replace(/:\d+$/, '');
+
+// Milliseconds to wait for a swipe, from a request's timeout in seconds (default 30)
+const swipeTimeout = body => {
+    const seconds = body.timeout != null ? Number(body.timeout) : 30;
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new OperationError('timeout must be a number of seconds', 'INVALID_INPUT');
+    }
+    return seconds * 1000;
+};
+
+const createServer = (device, options = {}) => {
+    const origin = parseOrigin(options.origin);
+    const reconnectInterval = options.reconnectInterval || 2000;
+    const verifyByDefault = options.verify !== false;
+    const audit = options.audit || null;
+    const plugins = options.plugins || [];
+    // account numbers and names are masked in responses and events unless reveal is set
+    const mask = result => options.reveal ? result : maskResult(result, device.trackFormats);
+    // a page on another site can point its own host name at 127.0.0.1 (DNS
+    // rebinding), so requests must name this machine or the configured host
+    const configuredHost = options.host && String(options.host).toLowerCase();
+    const allowedHosts = configuredHost
+        ? [...localHosts, configuredHost.includes(':') && !configuredHost.startsWith('[') ? `[${configuredHost}]` : configuredHost]
+        : localHosts;
+    const hostAllowed = req => allowedHosts.includes(hostName(req.headers.host));
+    // CORS only keeps a foreign page from reading the answer, not from sending
+    // the request, so requests from other origins are refused outright
+    const requestAllowed = req => hostAllowed(req) && originAllowed(origin, req.headers.origin);
+    const app = express();
+    const httpServer = http.createServer(app);
+    const io = new Server(httpServer, {
+        cors: { origin },
+        allowRequest: (req, callback) => callback(null, requestAllowed(req)),
+    });
+    let busy = false;
+    let reconnectTimer = null;
+    let closing = false;
+    // device.connected is set as soon as the reader is open, ready only once
+    // it is initialized; a request in between would mix in with the setup
+    let ready = false;
+
+    const connect = async () => {
+        reconnectTimer = null;
+        if (closing || ready) return;
+        try {
+            await device.connect();
+            ready = true;
+            device.transport.once('end', () => {
+                ready = false;
+                io.emit('device-disconnected');
+                scheduleReconnect();
+            });
+            io.emit('device-connected');
+        } catch (e) {
+            scheduleReconnect();
+        }
+    };
+
+    const scheduleReconnect = () => {
+        if (closing || reconnectTimer) return;
+        reconnectTimer = setTimeout(connect, reconnectInterval);
+    };
+
+    io.on('connection', socket => {
+        socket.emit(ready && device.connected ? 'device-connected' : 'device-disconnected');
+    });
+
+    const record = (operation, outcome, { trackData = null, error = null } = {}) => {
+        if (!audit) return;
+        try {
+            audit.record({ operation, outcome, device: deviceIdentity(device), trackData, error });
+        } catch (e) {
+            console.error(`Could not write to the audit log: ${e.message}`);
+        }
+    };
+
+    // one reader, one operation at a time
+    const exclusive = (operation, fn) => async (req, res) => {
+        if (!ready || !device.connected) {
+            throw new OperationError('Device not connected', 'NOT_CONNECTED');
+        }
+        if (busy) {
+            throw new OperationError('Device is busy with another operation', 'BUSY');
+        }
+        // checked before anything is written, the verify swipe uses them too
+        swipeTimeout(req.body || {});
+        verifyRequested(req.body || {});
+        busy = true;
+        try {
+            const result = await fn(req.body || {}, operation);
+            record(operation, 'ok', { trackData: result.trackData });
+            res.json(mask({ ok: true, operation, ...result }));
+        } catch (e) {
+            if (e instanceof AbortError) {
+                record(operation, 'cancelled', { error: e.message });
+                throw e;
+            }
+            // bad requests never reached the reader
+            if (e.code !== 'INVALID_INPUT') {
+                record(operation, 'failed', { error: e.message });
+            }
+            throw e;
+        } finally {
+            busy = false;
+            try { await device.reset(); } catch (e) {}
+        }
+    };
+
+    const swipe = async (operation, body) => {
+        const timeout = swipeTimeout(body);
+        io.emit('swipe-waiting', { operation, mode: 'read' });
+        const { isoTracks, trackData, trackInfo } = await readCard(device, { timeout });
+        const result = { isoTracks, trackData: trackData.map(toHexString), trackInfo: trackInfo.map(summarizeTrack) };
+        const format = identifyCard(plugins, { isoTracks, trackData });
+        if (format) result.format = format;
+        io.emit('swipe-received', mask({ operation, ...result }));
+        return { result, trackData };
+    };
+
+    // data is raw track bytes, or the track numbers when erasing
+    const write = async (operation, data, mode = 'write') => {
+        io.emit('swipe-waiting', { operation, mode });
+        const run = mode === 'erase' ? eraseCard : writeCard;
+        try {
+            const attempts = await run(device, data, {
+                onRetry: (attempt, total) => io.emit('swipe-waiting', { operation, mode, retry: attempt, attempts: total }),
+            });
+            io.emit('write-result', { operation, success: true, attempts });
+            return attempts;
+        } catch (e) {
+            io.emit('write-result', { operation, success: false, error: e.message });
+            throw e;
+        }
+    };
+
+    const verifyRequested = body => {
+        if (body.verify == null) return verifyByDefault;
+        if (typeof body.verify != 'boolean') {
+            throw new OperationError('verify must be true or false', 'INVALID_INPUT');
+        }
+        return body.verify;
+    };
+
+    // read-back swipe after a write, on unless the request or config turns it off
+    const verify = async (operation, expected, body) => {
+        if (!verifyRequested(body)) return {};
+        const timeout = swipeTimeout(body);
+        await device.reset();
+        io.emit('swipe-waiting', { operation, mode: 'verify' });
+        const verification = await verifyWrite(device, expected, { timeout });
+        io.emit('verify-result', { operation, ...mask({ verification }).verification });
+        if (!verification.ok) {
+            throw new VerificationError(verification);
+        }
+        return { verification };
+    };
+
+    app.use((req, res, next) => {
+        if (!hostAllowed(req)) {
+            return next(new OperationError(`Host ${req.headers.host || '(none)'} is not allowed`, 'FORBIDDEN_HOST'));
+        }
+        if (!originAllowed(origin, req.headers.origin)) {
+            return next(new OperationError(`Origin ${req.headers.origin} is not allowed`, 'FORBIDDEN_ORIGIN'));
+        }
+        // a form or text/plain POST needs no preflight, a JSON one does
+        if (req.method === 'POST' && !req.is('application/json')) {
+            return next(new OperationError('Requests must be sent as application/json', 'UNSUPPORTED_MEDIA_TYPE'));
+        }
+        next();
+    });
+    app.use(cors({ origin }));
+    app.use(express.json());
+
+    app.get('/api/status', (req, res) => {
+        res.json({ ok: true, connected: ready && device.connected, busy });
+    });
+
+    app.post('/api/read', exclusive('read', async (body, operation) => {
+        const { result } = await swipe(operation, body);
+        return result;
+    }));
+
+    app.post('/api/write-iso', exclusive('write-iso', async (body, operation) => {
+        const tracks = Array.isArray(body.tracks) ? body.tracks : [body.t1, body.t2, body.t3];
+        const isoTracks = [0, 1, 2].map(i => tracks[i] ? String(tracks[i]) : '');
+        if (isoTracks.every(track => !track)) {
+            throw new OperationError('Nothing to write', 'INVALID_INPUT');
+        }
+        const isoEncoded = await encodeIsoTracks(device, isoTracks);
+        const attempts = await write(operation, isoEncoded);
+        const verified = await verify(operation, expectFromWrite(isoEncoded, isoTracks), body);
+        return { tracks: isoTracks, trackData: isoEncoded.map(toHexString), attempts, ...verified };
+    }));
+
+    app.post('/api/write-raw', exclusive('write-raw', async (body, operation) => {
+        if (!Array.isArray(body.trackData) || body.trackData.length != 3) {
+            throw new OperationError('trackData must be an array of three hex strings', 'INVALID_INPUT');
+        }
+        const trackData = body.trackData.map((hex, i) => parseHexTrack(hex, i + 1));
+        if (trackData.every(track => track.length == 0)) {
+            throw new OperationError('Nothing to write', 'INVALID_INPUT');
+        }
+        checkTrackBudget(trackData, device.config);
+        const attempts = await write(operation, trackData);
+        const verified = await verify(operation, expectFromWrite(trackData), body);
+        return { trackData: trackData.map(toHexString), attempts, ...verified };
+    }));
+
+    app.post('/api/clone', exclusive('clone', async (body, operation) => {
+        const { result, trackData } = await swipe(operation, body);
+        await device.reset();
+        const attempts = await write(operation, trackData);
+        const verified = await verify(operation, expectFromWrite(trackData, result.isoTracks), body);
+        return { ...result, attempts, ...verified };
+    }));
+
+    app.post('/api/erase', exclusive('erase', async (body, operation) => {
+        const tracks = body.tracks != null ? body.tracks : [1, 2, 3];
+        if (!Array.isArray(tracks) || tracks.length == 0 || tracks.some(t => ![1, 2, 3].includes(t))) {
+            throw new OperationError('tracks must be an array of track numbers (1-3)', 'INVALID_INPUT');
+        }
+        const attempts = await write(operation, tracks, 'erase');
+        const verified = await verify(operation, expectErased(tracks), body);
+        return { tracks, attempts, ...verified };
+    }));
+
+    app.post('/api/cancel', (req, res) => {
+        if (busy) device.cancel();
+        res.json({ ok: true, cancelled: busy });
+    });
+
+    app.use((err, req, res, next) => {
+        const code = err.type === 'entity.parse.failed' ? 'INVALID_INPUT' : err.code;
+        const advice = err.suggestion ? { reason: err.reason, suggestion: err.suggestion } : {};
+        res.status(httpStatus[code] || 500).json({ ok: false, error: err.message, code: code || 'ERROR', ...advice, ...mask(err.details || {}) });
+    });
+
+    return {
+        app,
+        io,
+        httpServer,
+        listen: (port, host) => new Promise((resolve, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(port, host, () => {
+                httpServer.removeListener('error', reject);
+                connect();
+                resolve(httpServer.address());
+            });
+        }),
+        close: () => new Promise(resolve => {
+            closing = true;
+            if (reconnectTimer) clearTimeout(reconnectTimer);
+            io.close(() => resolve());
+        }),
+    };
+};
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { commands } = require('./constants');
+const { parsePacket, toHexString } = require('./utils');
+const { statusError } = require('./errors');
+
+// USB protocol traces: every control chunk sent to the reader and every
+// interrupt packet it sent back, one JSON object per line after a header:
+//
+//   { "format": "msr-trace", "version": 1, "startedAt": "...", "transport": "UsbTransport" }
+//   { "seq": 1, "time": "...", "elapsed": 0, "dir": "event", "event": "open", "reader": "1-2", "serial": null }
+//   { "seq": 2, "time": "...", "elapsed": 103, "dir": "out", "data": "c21b61...",
+//     "flags": { "first": true, "last": true, "length": 2 }, "opcode": "reset/disableRead" }
+//   { "seq": 3, "time": "...", "elapsed": 110, "dir": "in", "data": "c21b30...",
+//     "flags": { ... }, "status": "ok" }
+//
+// data is the whole chunk or packet in hex. opcode names the command that
+// starts an outgoing packet and status the reply when a packet is one. Events
+// are open, open-failed, close, end (unplugged) and error. Traces hold card
+// data in full, as it went over the wire.
+
+const TRACE_FORMAT = 'msr-trace';
+
+// reset and disableRead are the same bytes, so a code can have two names
+const opcodeNames = Object.entries(commands).reduce((names, [name, hex]) => {
+    const code = hex.toLowerCase();
+    names[code] = names[code] ? `${names[code]}/${name}` : name;
+    return names;
+}, {});
+const opcodeCodes = Object.keys(opcodeNames).sort((a, b) => b.length - a.length);
+
+// Name of the command at the start of a packet's payload, longest match first
+const decodeOpcode = payload => {
+    const hex = toHexString(payload).toLowerCase();
+    const code = opcodeCodes.find(candidate => hex.startsWith(candidate));
+    return code ? opcodeNames[code] : null;
+};
+
+// Chunk header: 0x80 starts a packet, 0x40 ends it, the low 6 bits are the length
+const chunkFlags = head => ({ first: (head & 0x80) != 0, last: (head & 0x40) != 0, length: head & 0x3F });
+
+const chunkPayload = chunk => Array.from(chunk.slice(1, (chunk[0] & 0x3F) + 1));
+
+const decodeStatus = payload => {
+    if (payload.length != 2 || payload[0] != 0x1B) return null;
+    if (payload[1] == 0x30) return 'ok';
+    const error = statusError(payload[1]);
+    return error ? error.message : null;
+};
+
+// Appends entries to a trace file as they happen
+class TraceWriter {
+    constructor(file, transport) {
+        this.file = file;
+        this.startedAt = Date.now();
+        this.seq = 0;
+        // a packet's first chunk is the one after the previous packet's last
+        this.packetStart = { out: true, in: true };
+        this.fd = fs.openSync(file, 'w', 0o600);
+        this.write({ format: TRACE_FORMAT, version: 1, startedAt: new Date(this.startedAt).toISOString(), transport });
+    }
+
+    write(entry) {
+        // a device connected again after close() carries on in the same file
+        if (this.fd === null) this.fd = fs.openSync(this.file, 'a', 0o600);
+        fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    }
+
+    entry(dir, fields) {
+        const now = Date.now();
+        this.write({ seq: ++this.seq, time: new Date(now).toISOString(), elapsed: now - this.startedAt, dir, ...fields });
+    }
+
+    event(event, fields = {}) {
+        this.entry('event', { event, ...fields });
+    }
+
+    chunk(dir, data) {
+        const flags = chunkFlags(data[0]);
+        const starts = this.packetStart[dir];
+        this.packetStart[dir] = flags.last;
+        const fields = { data: toHexString(Array.from(data)), flags };
+        const payload = chunkPayload(data);
+        if (starts && dir === 'out') fields.opcode = decodeOpcode(payload);
+        if (starts && dir === 'in' && flags.last && decodeStatus(payload)) fields.status = decodeStatus(payload);
+        this.entry(dir, fields);
+    }
+
+    // a new connection starts new packets
+    reset() {
+        this.packetStart = { out: true, in: true };
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+const loadTrace = file => {
+    let lines;
+    try {
+        lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    } catch (e) {
+        throw new Error(`Could not read trace ${file}: ${e.message}`);
+    }
+    const parsed = lines.map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new Error(`Line ${i + 1} of trace ${file} is not valid JSON: ${e.message}`);
+        }
+    });
+    const [header, ...entries] = parsed;
+    if (!header || header.format !== TRACE_FORMAT) {
+        throw new Error(`${file} is not a trace recorded with --trace`);
+    }
+    return { header, entries };
+};
+
+const describeEntry = entry => {
+    if (entry.dir === 'event') {
+        return entry.event + (entry.reader ? ` ${entry.reader}` : '') + (entry.message ? `: ${entry.message}` : '');
+    }
+    const flags = [entry.flags.first && 'first', entry.flags.last && 'last'].filter(flag => flag).join(',') || '-';
+    const payload = toHexString(chunkPayload(parsePacket(entry.data)));
+    const name = entry.opcode || (entry.status ? `status ${entry.status}` : entry.dir === 'in' ? 'data' : '');
+    return `${entry.dir === 'out' ? '->' : '<-'} ${name.padEnd(22)} [${flags}] ${entry.flags.length} bytes  ${payload}`;
+};
+
+// trace.ndjson becomes trace.1-2.ndjson for the reader on port 1-2, when
+// several are traced at once
+const traceFileFor = (file, readerId) => {
+    const ext = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, ext)}.${readerId}${ext}`);
+};
+
+// One line per entry: elapsed time, direction, opcode or status, flags and payload
+const renderTrace = ({ header, entries }) => [
+    `Trace of ${header.transport} started ${header.startedAt}, ${entries.length} entries`,
+    ...entries.map(entry => `${String(entry.seq).padStart(5)}  ${(entry.elapsed / 1000).toFixed(3).padStart(9)}s  ${describeEntry(entry)}`),
+].join('\n');
+
+module.exports = {
+    TRACE_FORMAT,
+    decodeOpcode,
+    chunkFlags,
+    chunkPayload,
+    decodeStatus,
+    TraceWriter,
+    loadTrace,
+    traceFileFor,
+    describeEntry,
+    renderTrace
+};
@@ -0,0 +1,171 @@
+const { toHexString } = require('./utils');
+const { hasOddParity } = require('./encodings');
+
+// Decodes raw track bytes into characters, checking the parity of every
+// character frame and the trailing LRC. Frames are read in swipe order with
+// the parity bit last, the same layout encodeISO produces. The format is one
+// of the encodings from lib/encodings.
+
+const toBits = bytes => {
+    const bits = [];
+    for (const octet of bytes) {
+        for (let i = 7; i >= 0; --i) {
+            bits.push((octet >> i) & 1);
+        }
+    }
+    return bits;
+};
+
+const readFrame = (bits, offset, width) => {
+    let value = 0;
+    for (let i = 0; i < width; ++i) {
+        value = (value << 1) | bits[offset + i];
+    }
+    return value;
+};
+
+const checkParity = (value, parity) => parity === 'none' || hasOddParity(value) === (parity === 'odd');
+
+const dataValue = (value, parity) => parity === 'none' ? value : value >> 1;
+
+const findFrameValue = (alphabet, char) => {
+    const entry = Object.entries(alphabet).find(([, c]) => c === char);
+    return entry ? parseInt(entry[0]) : null;
+};
+
+const decodeBits = (bits, format) => {
+    const { bits: width, alphabet, startSentinel, endSentinel } = format;
+    const parity = format.parity || 'odd';
+    const startValue = findFrameValue(alphabet, startSentinel);
+    const result = {
+        text: '',
+        startOffset: null,
+        frames: [],
+        errors: [],
+        lrcValid: null,
+    };
+
+    let offset = 0;
+    while (offset + width <= bits.length && readFrame(bits, offset, width) !== startValue) {
+        ++offset;
+    }
+    if (offset + width > bits.length) {
+        result.errors.push({ position: 0, bitOffset: null, type: 'start-sentinel', message: `start sentinel '${startSentinel}' not found` });
+        return result;
+    }
+    result.startOffset = offset;
+
+    const chars = [];
+    let lrc = 0;
+    let ended = false;
+    while (offset + width <= bits.length) {
+        const value = readFrame(bits, offset, width);
+        const position = chars.length;
+        const parityOk = checkParity(value, parity);
+        const char = parityOk ? alphabet[value.toString()] : undefined;
+        result.frames.push({ bitOffset: offset, value, parityOk, char: char || null, kind: 'data' });
+        if (!parityOk) {
+            result.errors.push({ position, bitOffset: offset, type: 'parity', message: `parity error at character ${position + 1}` });
+        } else if (char === undefined) {
+            result.errors.push({ position, bitOffset: offset, type: 'character', message: `unknown character at ${position + 1}` });
+        }
+        chars.push(char || '~');
+        lrc ^= dataValue(value, parity);
+        offset += width;
+        if (char === endSentinel) {
+            ended = true;
+            break;
+        }
+    }
+
+    if (!ended) {
+        // trailing zero frames are padding, not characters
+        while (result.frames.length > 0 && result.frames[result.frames.length - 1].value === 0) {
+            result.frames.pop();
+            chars.pop();
+        }
+        result.errors = result.errors.filter(e => e.position < chars.length);
+        result.errors.push({ position: chars.length, bitOffset: offset, type: 'end-sentinel', message: `end sentinel '${endSentinel}' not found` });
+        result.text = chars.join('');
+        return result;
+    }
+
+    result.frames[0].kind = 'start';
+    result.frames[result.frames.length - 1].kind = 'end';
+    result.text = chars.join('');
+
+    if (format.lrc === false) {
+        return result;
+    }
+    if (offset + width > bits.length) {
+        result.lrcValid = false;
+        result.errors.push({ position: chars.length, bitOffset: offset, type: 'lrc', message: 'LRC missing after end sentinel' });
+        return result;
+    }
+    const lrcFrame = readFrame(bits, offset, width);
+    const lrcParityOk = checkParity(lrcFrame, parity);
+    result.frames.push({ bitOffset: offset, value: lrcFrame, parityOk: lrcParityOk, char: null, kind: 'lrc' });
+    result.lrcValid = lrcParityOk && dataValue(lrcFrame, parity) === lrc;
+    if (!result.lrcValid) {
+        result.errors.push({
+            position: chars.length,
+            bitOffset: offset,
+            type: 'lrc',
+            message: lrcParityOk ? 'LRC mismatch' : 'parity error in LRC',
+        });
+    }
+    return result;
+};
+
+// Returns { status, text, reversed, lrcValid, errors, startOffset, frames }, where
+// status is 'ok', 'empty' or 'corrupt'. Backwards swipes are detected by also
+// decoding the bit stream in reverse.
+const decodeTrack = (bytes, format) => {
+    const bits = toBits(bytes);
+    if (!bits.includes(1)) {
+        return { status: 'empty', text: '', reversed: false, lrcValid: null, errors: [], startOffset: null, frames: [] };
+    }
+    if (format.type === 'binary') {
+        // no framing to check, the bytes are the data
+        return { status: 'ok', text: toHexString(bytes), binary: true, reversed: false, lrcValid: null, errors: [], startOffset: 0, frames: [] };
+    }
+
+    const forward = { ...decodeBits(bits, format), reversed: false };
+    let best = forward;
+    if (forward.errors.length > 0) {
+        // a damaged forward read can look like a short backward one, so the
+        // backward decode only wins when it is a whole track: both sentinels
+        // and a valid LRC (where the format has one)
+        const backward = { ...decodeBits([...bits].reverse(), format), reversed: true };
+        const complete = decoded => decoded.startOffset !== null &&
+            decoded.frames.some(frame => frame.kind === 'end') &&
+            (format.lrc === false || decoded.lrcValid === true);
+        if (complete(backward) && backward.errors.length < forward.errors.length) {
+            best = backward;
+        }
+    }
+    best.status = best.errors.length == 0 ? 'ok' : 'corrupt';
+    return best;
+};
+
+const describeErrors = errors => errors.map(e => e.message).join(', ');
+
+// trackInfo without the per-frame detail, for JSON output
+const summarizeTrack = info => ({
+    status: info.status,
+    text: info.text,
+    reversed: info.reversed,
+    lrcValid: info.lrcValid,
+    errors: info.errors.map(({ position, type, message }) => ({ position, type, message })),
+});
+
+module.exports = {
+    toBits,
+    readFrame,
+    hasOddParity,
+    checkParity,
+    decodeBits,
+    decodeTrack,
+    describeErrors,
+    summarizeTrack
+};
@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const { parsePacket, toHexString } = require('../utils');
+const { loadTrace, chunkPayload, decodeOpcode, describeEntry } = require('../trace');
+
+// header and payload of a chunk, leaving out the padding to 64 bytes
+const usedBytes = chunk => toHexString(chunk.slice(0, (chunk[0] & 0x3F) + 1));
+
+// Plays a trace recorded with --trace back to MsrDevice in place of the USB
+// reader, so a failing session can be reproduced without the hardware or the
+// card. Each control chunk the driver sends must be the next one in the
+// trace; the packets the reader sent after it are then played back with the
+// recorded timing, unplugs included. The first chunk that differs stops the
+// replay with an error naming both, which is usually where the bug is.
+class ReplayTransport extends EventEmitter {
+    constructor(file) {
+        super();
+        const { header, entries } = loadTrace(file);
+        this.file = file;
+        this.header = header;
+        this.entries = entries;
+        this.position = 0;
+        this.lastElapsed = 0;
+        this.packetSize = 64;
+        this.id = null;
+        this.serial = null;
+        this.opened = false;
+        this.timer = null;
+    }
+
+    next() {
+        return this.entries[this.position];
+    }
+
+    advance() {
+        const entry = this.entries[this.position++];
+        this.lastElapsed = entry.elapsed;
+        return entry;
+    }
+
+    divergence(action) {
+        const expected = this.next();
+        return new Error(expected
+            ? `Replay of ${this.file} diverged at entry ${expected.seq}: the trace has ${describeEntry(expected).replace(/\s+/g, ' ')}, but ${action}`
+            : `Replay of ${this.file} ran past the end of the trace: ${action}`);
+    }
+
+    skipCloses() {
+        while (this.next() && this.next().dir === 'event' && this.next().event === 'close') this.advance();
+    }
+
+    async open() {
+        this.skipCloses();
+        const entry = this.next();
+        if (!entry || entry.dir !== 'event' || (entry.event !== 'open' && entry.event !== 'open-failed')) {
+            throw this.divergence('the driver opened the reader');
+        }
+        this.advance();
+        if (entry.event === 'open-failed') {
+            throw new Error(entry.message);
+        }
+        this.id = entry.reader;
+        this.serial = entry.serial;
+        this.opened = true;
+        this.play();
+    }
+
+    async sendChunk(buffer) {
+        if (!this.opened) {
+            throw new Error('Replayed device is not open');
+        }
+        // whatever the reader sent before this chunk went out arrives first
+        this.flush();
+        const expected = this.next();
+        const sent = Array.from(buffer);
+        if (!expected || expected.dir !== 'out' || usedBytes(parsePacket(expected.data)) !== usedBytes(sent)) {
+            const opcode = decodeOpcode(chunkPayload(sent));
+            throw this.divergence(`the driver sent ${opcode ? `${opcode} ` : ''}${usedBytes(sent)}`);
+        }
+        this.advance();
+        // the chunk failed to go out when it was recorded
+        const after = this.next();
+        if (after && after.dir === 'event' && after.event === 'error') {
+            this.advance();
+            throw new Error(after.message);
+        }
+        this.play();
+        return buffer.length;
+    }
+
+    // Entries the reader produced by itself: packets, unplugs and errors
+    isIncoming(entry) {
+        return !!entry && (entry.dir === 'in' || (entry.dir === 'event' && (entry.event === 'end' || entry.event === 'error')));
+    }
+
+    emitEntry(entry) {
+        if (entry.dir === 'in') {
+            this.emit('data', Buffer.from(parsePacket(entry.data)));
+        } else if (entry.event === 'end') {
+            this.opened = false;
+            this.emit('end');
+        } else {
+            this.emit('error', new Error(entry.message));
+        }
+    }
+
+    // Plays the incoming entries up to the next thing the driver has to do,
+    // each after the same pause as when it was recorded
+    play() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const entry = this.next();
+        if (!this.opened || !this.isIncoming(entry)) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.emitEntry(this.advance());
+            this.play();
+        }, Math.max(0, entry.elapsed - this.lastElapsed));
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        while (this.opened && this.isIncoming(this.next())) {
+            this.emitEntry(this.advance());
+        }
+    }
+
+    waitForAttach(timeout) {
+        const entry = this.next();
+        const wait = entry && entry.dir === 'event' ? Math.min(timeout, Math.max(0, entry.elapsed - this.lastElapsed)) : timeout;
+        return new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.opened = false;
+        this.skipCloses();
+    }
+}
+
+module.exports = ReplayTransport;
@@ -0,0 +1,259 @@
+const EventEmitter = require('events');
+const { commands } = require('../constants');
+const { parsePacket, sleep } = require('../utils');
+
+const STATUS_OK = 0x30;
+const STATUS_INVALID_COMMAND = 0x34;
+
+// longest opcodes first so enableWrite (1b6e1b73) wins over shorter prefixes
+const opcodes = Object.entries(commands)
+    .map(([name, hex]) => [name, parsePacket(hex)])
+    .sort((a, b) => b[1].length - a[1].length);
+
+const reverseBits = octet => {
+    let value = 0;
+    for (let i = 0; i < 8; ++i) {
+        if (octet & (1 << i)) {
+            value |= 0x80 >>> i;
+        }
+    }
+    return value;
+};
+
+// In-memory stand-in for an MSR605X. It speaks the same framed protocol as the
+// real reader and keeps a single "card" that reads return and writes replace.
+class SimulatedTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.packetSize = 64;
+        this.id = options.id || 'simulated';
+        this.serial = options.serial || null;
+        this.card = (options.card || [[], [], []]).map(track => [...track]);
+        this.autoSwipe = options.autoSwipe !== false;
+        this.swipeDelay = options.swipeDelay != null ? options.swipeDelay : 300;
+        this.firmwareVersion = options.firmwareVersion || 'REVS1.00';
+        this.model = options.model || '3';
+        // supply voltage in 10 mV steps
+        this.voltage = options.voltage || 500;
+        this.parameters = options.parameters || [0x00, 0x01, 0x3D, 0x16];
+        // status bytes the next write/erase swipes answer with instead of OK, e.g. [0x31]
+        this.failures = [...(options.failures || [])];
+        this.settings = {
+            bpc: [8, 8, 8],
+            bpi: [],
+            isHiCo: true,
+            leadingZeros: [61, 22],
+        };
+        this.pending = null;
+        this.incoming = [];
+        this.swipeTimer = null;
+        this.opened = false;
+        this.plugged = true;
+    }
+
+    async open() {
+        if (!this.plugged) {
+            throw new Error('Device not found. Is the MSR605X connected?');
+        }
+        this.opened = true;
+    }
+
+    async sendChunk(buffer) {
+        if (!this.opened) {
+            throw new Error('Simulated device is not open');
+        }
+        const head = buffer[0];
+        const length = head & 0x3F;
+        this.incoming.push(...buffer.slice(1, length + 1));
+        if ((head & 0x40) != 0x40) {
+            return buffer.length;
+        }
+        const packet = this.incoming;
+        this.incoming = [];
+        setImmediate(() => this.handleCommand(packet));
+        return buffer.length;
+    }
+
+    handleCommand(packet) {
+        const match = opcodes.find(([, code]) => code.every((octet, i) => packet[i] === octet));
+        if (!match) {
+            this.respond([0x1B, STATUS_INVALID_COMMAND]);
+            return;
+        }
+        const [name, code] = match;
+        const args = packet.slice(code.length);
+
+        switch (name) {
+            case 'reset':
+            case 'disableRead':
+                this.cancelPending();
+                break;
+            case 'getFirmwareVersion':
+                this.respond([0x1B, ...Buffer.from(this.firmwareVersion, 'ascii')]);
+                break;
+            case 'getDeviceModel':
+                this.respond([0x1B, ...Buffer.from(`${this.model}S`, 'ascii')]);
+                break;
+            case 'getVoltage':
+                this.respond([0x1B, this.voltage >> 8, this.voltage & 0xFF]);
+                break;
+            case 'getParameter':
+                this.respond([0x1B, STATUS_OK, ...this.parameters]);
+                break;
+            case 'communicationTest':
+                this.respond([0x1B, 0x79]);
+                break;
+            case 'greenLEDOn':
+            case 'redLEDOn':
+                break;
+            case 'powerOff':
+                this.cancelPending();
+                break;
+            case 'setBPC':
+                this.settings.bpc = args.slice(0, 3);
+                this.respond([0x1B, STATUS_OK, ...this.settings.bpc]);
+                break;
+            case 'setHiCo':
+            case 'setLoCo':
+                this.settings.isHiCo = name === 'setHiCo';
+                this.respond([0x1B, STATUS_OK]);
+                break;
+            case 'setBPI':
+                this.settings.bpi.push(args[0]);
+                this.respond([0x1B, STATUS_OK]);
+                break;
+            case 'setLeadingZeros':
+                this.settings.leadingZeros = args.slice(0, 2);
+                this.respond([0x1B, STATUS_OK]);
+                break;
+            case 'enableRead':
+                this.arm({ type: 'read' });
+                break;
+            case 'erase':
+                this.arm({ type: 'erase', select: args[0] });
+                break;
+            case 'enableWrite': {
+                const tracks = this.parseTracks(args);
+                if (!tracks) {
+                    this.respond([0x1B, 0x32]);
+                    break;
+                }
+                this.arm({ type: 'write', tracks });
+                break;
+            }
+            default:
+                this.respond([0x1B, STATUS_OK]);
+        }
+    }
+
+    parseTracks(data) {
+        const tracks = [];
+        let index = 0;
+        for (let i = 1; i <= 3; ++i) {
+            if (data[index] != 0x1B || data[index + 1] != i) {
+                return null;
+            }
+            const length = data[index + 2];
+            index += 3;
+            tracks.push(data.slice(index, index + length));
+            index += length;
+        }
+        return tracks;
+    }
+
+    arm(pending) {
+        this.cancelPending();
+        this.pending = pending;
+        if (this.autoSwipe) {
+            this.swipeTimer = setTimeout(() => this.swipe(), this.swipeDelay);
+        }
+    }
+
+    cancelPending() {
+        if (this.swipeTimer) {
+            clearTimeout(this.swipeTimer);
+            this.swipeTimer = null;
+        }
+        this.pending = null;
+    }
+
+    // Simulates a card passing through the head. An optional card (array of
+    // three raw tracks) replaces the one currently in the simulator first.
+    swipe(card) {
+        if (card) {
+            this.card = card.map(track => [...track]);
+        }
+        const pending = this.pending;
+        this.cancelPending();
+        if (!pending) {
+            return false;
+        }
+
+        if (pending.type !== 'read' && this.failures.length > 0) {
+            this.respond([0x1B, this.failures.shift()]);
+        } else if (pending.type === 'read') {
+            const out = [0x1B, 0x73];
+            this.card.forEach((track, i) => out.push(0x1B, i + 1, track.length, ...track));
+            out.push(0x3F, 0x1C, 0x1B, STATUS_OK);
+            this.respond(out);
+        } else if (pending.type === 'erase') {
+            const select = pending.select == 0x00 ? 0x01 : pending.select;
+            this.card = this.card.map((track, i) => (select & (1 << i)) ? [] : track);
+            this.respond([0x1B, STATUS_OK]);
+        } else {
+            // the host sends each octet bit-reversed, store it the way reads return it;
+            // tracks sent without data are left alone
+            this.card = pending.tracks.map((track, i) => track.length > 0 ? track.map(reverseBits) : this.card[i]);
+            this.respond([0x1B, STATUS_OK]);
+        }
+        return true;
+    }
+
+    async respond(bytes) {
+        const chunkSize = this.packetSize - 1;
+        let written = 0;
+        do {
+            const length = Math.min(chunkSize, bytes.length - written);
+            let header = length;
+            if (written == 0) header |= 0x80;
+            if (written + length >= bytes.length) header |= 0x40;
+            const packet = Buffer.alloc(this.packetSize);
+            packet[0] = header;
+            Buffer.from(bytes.slice(written, written + length)).copy(packet, 1);
+            written += length;
+            await sleep(1);
+            if (this.opened) this.emit('data', packet);
+        } while (written < bytes.length);
+    }
+
+    unplug() {
+        this.cancelPending();
+        this.opened = false;
+        this.plugged = false;
+        this.emit('end');
+    }
+
+    plug() {
+        this.plugged = true;
+        this.emit('attach');
+    }
+
+    waitForAttach(timeout) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                this.removeListener('attach', done);
+                resolve();
+            };
+            const timer = setTimeout(done, timeout);
+            this.once('attach', done);
+        });
+    }
+
+    close() {
+        this.cancelPending();
+        this.opened = false;
+    }
+}
+
+module.exports = SimulatedTransport;
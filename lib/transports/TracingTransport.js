@@ -0,0 +1,74 @@
+const EventEmitter = require('events');
+const { TraceWriter } = require('../trace');
+
+// Wraps another transport and records everything that crosses it in a trace
+// file (see ../trace): the control chunks MsrDevice sends, the interrupt
+// packets that come back, and opens, closes and unplugs. Everything else is
+// passed straight through, so the device behaves exactly as without it.
+class TracingTransport extends EventEmitter {
+    constructor(transport, file) {
+        super();
+        this.inner = transport;
+        this.trace = new TraceWriter(file, transport.constructor.name);
+        this.packetSize = transport.packetSize;
+
+        transport.on('data', data => {
+            this.trace.chunk('in', data);
+            this.emit('data', data);
+        });
+        transport.on('error', error => {
+            this.trace.event('error', { message: error.message });
+            this.emit('error', error);
+        });
+        transport.on('end', () => {
+            this.trace.event('end');
+            this.emit('end');
+        });
+    }
+
+    get id() {
+        return this.inner.id;
+    }
+
+    get serial() {
+        return this.inner.serial;
+    }
+
+    async open() {
+        try {
+            await this.inner.open();
+        } catch (e) {
+            this.trace.event('open-failed', { message: e.message });
+            throw e;
+        }
+        this.trace.reset();
+        this.trace.event('open', { reader: this.inner.id || null, serial: this.inner.serial || null });
+    }
+
+    async sendChunk(buffer) {
+        this.trace.chunk('out', buffer);
+        try {
+            return await this.inner.sendChunk(buffer);
+        } catch (e) {
+            this.trace.event('error', { message: e.message });
+            throw e;
+        }
+    }
+
+    waitForAttach(timeout) {
+        return this.inner.waitForAttach(timeout);
+    }
+
+    close() {
+        this.trace.event('close');
+        this.inner.close();
+    }
+
+    // Closes the trace file once the device is done with the transport for good
+    dispose() {
+        this.trace.close();
+        if (typeof this.inner.dispose == 'function') this.inner.dispose();
+    }
+}
+
+module.exports = TracingTransport;
@@ -0,0 +1,199 @@
+const EventEmitter = require('events');
+const usb = require('usb');
+const os = require('os');
+
+const VENDOR_ID = 0x0801;
+const PRODUCT_ID = 0x0003;
+
+const isReader = device => device.deviceDescriptor.idVendor == VENDOR_ID && device.deviceDescriptor.idProduct == PRODUCT_ID;
+
+// bus-port path such as 1-2.3, the same as Linux uses in sysfs; it stays the
+// same while the reader is plugged into the same socket
+const portId = device => `${device.busNumber}-${(device.portNumbers || [device.deviceAddress]).join('.')}`;
+
+// Readers that are not open yet are opened briefly to read the serial number;
+// null when the reader has none or cannot be opened
+const readSerial = device => new Promise(resolve => {
+    const index = device.deviceDescriptor.iSerialNumber;
+    if (!index) return resolve(null);
+    const wasOpen = !!device.interfaces;
+    try {
+        if (!wasOpen) device.open(false);
+    } catch (e) {
+        return resolve(null);
+    }
+    device.getStringDescriptor(index, (error, value) => {
+        if (!wasOpen) {
+            try { device.close(); } catch (e) {}
+        }
+        resolve(error ? null : value || null);
+    });
+});
+
+const describeUsbDevice = async device => ({
+    id: portId(device),
+    bus: device.busNumber,
+    port: (device.portNumbers || []).join('.') || null,
+    serial: await readSerial(device),
+});
+
+// Transport interface used by MsrDevice:
+//   open()            -> Promise, claims the device and starts emitting packets
+//   sendChunk(buffer) -> Promise, sends one 64 byte control chunk
+//   close()           -> releases the device
+//   waitForAttach(ms) -> Promise, resolves when a reader is plugged in or after ms
+// Incoming interrupt packets are emitted as 'data', failures as 'error' and
+// removal of the device as 'end'. id and serial identify the reader once open.
+//
+// options.device picks one reader when several are attached: its port id,
+// serial number or 1-based position in UsbTransport.list(). Without it the
+// first reader found is used.
+class UsbTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.selector = options.device != null ? String(options.device) : null;
+        this.device = null;
+        this.interface = null;
+        this.endpoint = null;
+        this.packetSize = 64;
+        this.id = null;
+        this.serial = null;
+    }
+
+    // Every attached MSR605X as { id, bus, port, serial }
+    static async list() {
+        const readers = [];
+        for (const device of usb.getDeviceList().filter(isReader)) {
+            readers.push(await describeUsbDevice(device));
+        }
+        return readers;
+    }
+
+    async findDevice() {
+        const devices = usb.getDeviceList().filter(isReader);
+        // after an unplug, come back to the same socket when that reader is there
+        if (!this.selector) return devices.find(device => this.id && portId(device) === this.id) || devices[0] || null;
+        const readers = [];
+        for (const device of devices) {
+            readers.push({ device, ...(await describeUsbDevice(device)) });
+        }
+        const match = findReader(readers, this.selector);
+        return match ? match.device : null;
+    }
+
+    async open() {
+        const device = await this.findDevice();
+
+        if (!device) {
+            throw new Error(this.selector
+                ? `Device not found. No MSR605X matches "${this.selector}".`
+                : 'Device not found. Is the MSR605X connected?');
+        }
+
+        try {
+            device.open();
+        } catch (e) {
+            if (e.message.includes('LIBUSB_ERROR_ACCESS')) {
+                // Return a specific error object or throw with a clear message that the UI can handle
+                throw new Error('ACCESS_DENIED');
+            }
+            throw e;
+        }
+
+        const [iface] = device.interfaces;
+
+        if (os.platform() !== 'win32') {
+            try {
+                if (iface.isKernelDriverActive()) {
+                    iface.detachKernelDriver();
+                }
+            } catch (e) {
+                // Ignore
+            }
+        }
+
+        iface.claim();
+        this.device = device;
+        this.interface = iface;
+        this.id = portId(device);
+        this.serial = await readSerial(device);
+
+        const inEndpoint = iface.endpoints.find(ep => ep.direction === 'in');
+        if (!inEndpoint) {
+            throw new Error('No IN endpoint found on device');
+        }
+
+        this.endpoint = inEndpoint;
+        this.packetSize = inEndpoint.descriptor.wMaxPacketSize || 64;
+        inEndpoint.on('data', data => this.emit('data', data));
+        inEndpoint.on('error', error => this.emit('error', error));
+        inEndpoint.on('end', () => this.emit('end'));
+        inEndpoint.startPoll(1, this.packetSize);
+    }
+
+    // Not every platform reports hotplug events, so this also gives up after
+    // timeout and the caller simply tries to open again
+    waitForAttach(timeout) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                usb.removeListener('attach', onAttach);
+                resolve();
+            };
+            const onAttach = device => {
+                if (isReader(device)) done();
+            };
+            const timer = setTimeout(done, timeout);
+            usb.on('attach', onAttach);
+        });
+    }
+
+    sendChunk(buffer) {
+        return new Promise((resolve, reject) => {
+            this.device.controlTransfer(0x21, 9, 0x0300, 0, buffer, (error, data) => {
+                if (error != null) {
+                    return reject(error);
+                }
+                resolve(data);
+            });
+        });
+    }
+
+    close() {
+        if (!this.device) return;
+        try {
+            if (this.endpoint) {
+                this.endpoint.removeAllListeners();
+                this.endpoint.stopPoll();
+            }
+            // release calls back later, when this.device may be a new handle
+            const device = this.device;
+            this.interface.release(true, () => {
+                try {
+                    device.close();
+                } catch (e) {
+                    // Ignore, the device may already be gone
+                }
+            });
+        } catch (e) {
+            // Ignore, the device may already be gone
+        }
+        this.device = null;
+        this.interface = null;
+        this.endpoint = null;
+    }
+}
+
+// Finds a reader in a list by port id, serial number or 1-based position
+const findReader = (readers, selector) => {
+    const value = String(selector);
+    const byId = readers.find(reader => reader.id === value || (reader.serial && reader.serial === value));
+    if (byId) return byId;
+    return /^\d+$/.test(value) ? readers[parseInt(value, 10) - 1] || null : null;
+};
+
+UsbTransport.findReader = findReader;
+UsbTransport.VENDOR_ID = VENDOR_ID;
+UsbTransport.PRODUCT_ID = PRODUCT_ID;
+
+module.exports = UsbTransport;
@@ -0,0 +1,43 @@
+const UsbTransport = require('./UsbTransport');
+const SimulatedTransport = require('./SimulatedTransport');
+const TracingTransport = require('./TracingTransport');
+const ReplayTransport = require('./ReplayTransport');
+
+// Attached readers as { id, bus, port, serial }; with simulate, the single
+// in-memory reader
+const listReaders = async ({ simulate = false } = {}) => simulate
+    ? [{ id: 'simulated', bus: null, port: null, serial: null }]
+    : UsbTransport.list();
+
+// Readers chosen with --device: a port id, serial number or 1-based position,
+// several separated by commas, or 'all'. A reader named twice is used once.
+const selectReaders = (readers, selector) => {
+    if (selector === 'all') return readers;
+    const selected = String(selector).split(',').map(part => part.trim()).filter(part => part).map(part => {
+        const reader = UsbTransport.findReader(readers, part);
+        if (!reader) {
+            throw new Error(`Device not found. No MSR605X matches "${part}", see msr devices`);
+        }
+        return reader;
+    });
+    return selected.filter((reader, i) => selected.findIndex(other => other.id === reader.id) === i);
+};
+
+// replay plays a trace file back instead of talking to a reader; trace
+// records one of whichever transport it is
+const createTransport = (reader, { simulate = false, replay = null, trace = null } = {}) => {
+    const transport = replay ? new ReplayTransport(replay)
+        : simulate ? new SimulatedTransport({ id: reader ? reader.id : undefined })
+        : new UsbTransport({ device: reader ? reader.id : undefined });
+    return trace ? new TracingTransport(transport, trace) : transport;
+};
+
+module.exports = {
+    UsbTransport,
+    SimulatedTransport,
+    TracingTransport,
+    ReplayTransport,
+    listReaders,
+    selectReaders,
+    createTransport
+};
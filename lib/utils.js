@@ -1,5 +1,6 @@
 
-const lrc = (len, alphabet, data) => {
+// parity applies to bit 0 of the LRC frame, 'none' leaves every bit as data
+const lrc = (len, alphabet, data, parity = 'odd') => {
     let bits = [];
     for (let i = 0; i < len; ++i) {
         bits[i] = 0;
@@ -13,7 +14,10 @@ const lrc = (len, alphabet, data) => {
         }
     }
     bits = bits.map(x => x % 2 == 1);
-    bits[0] = bits.slice(1).filter(x => x).length % 2 == 0;
+    if (parity !== 'none') {
+        const ones = bits.slice(1).filter(x => x).length;
+        bits[0] = parity === 'even' ? ones % 2 == 1 : ones % 2 == 0;
+    }
     let final = 0;
     for (let i = 0; i < bits.length; ++i) {
         if (bits[i]) {
@@ -111,6 +115,17 @@ const bitStream = data => {
     }
 };
 
+const hexDump = (arr, width = 16) => {
+    const lines = [];
+    for (let offset = 0; offset < arr.length; offset += width) {
+        const row = Array.from(arr.slice(offset, offset + width));
+        const hex = row.map(b => toHexString([b])).join(' ').padEnd(width * 3 - 1);
+        const ascii = row.map(b => b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.').join('');
+        lines.push(`${offset.toString(16).padStart(4, '0')}  ${hex}  ${ascii}`);
+    }
+    return lines.join('\n');
+};
+
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 module.exports = {
@@ -118,5 +133,6 @@ module.exports = {
     parsePacket,
     toHexString,
     bitStream,
+    hexDump,
     sleep
 };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const { trimmedBits } = require('./verify');
+
+// Validate mode: compares each swiped card with a master card. Tracks are
+// compared on their raw bits with the zero padding trimmed, the same way
+// read-back verification does, so two cards that both read as corrupt only
+// match when they hold the same bits. Where a track differs, the first
+// differing character and bit are reported.
+
+const orient = (bits, flip) => flip ? [...bits].reverse().join('') : bits;
+
+// Where two sequences (strings) first part ways and how many positions differ,
+// counting the extra length of the longer one; null when they are the same
+const firstDifference = (master, candidate) => {
+    if (master === candidate) return null;
+    let first = -1;
+    let count = Math.abs(master.length - candidate.length);
+    const shared = Math.min(master.length, candidate.length);
+    for (let i = 0; i < shared; ++i) {
+        if (master[i] !== candidate[i]) {
+            if (first < 0) first = i;
+            ++count;
+        }
+    }
+    return { position: first < 0 ? shared : first, count, masterLength: master.length, candidateLength: candidate.length };
+};
+
+const compareTrack = (master, candidate, index) => {
+    const track = index + 1;
+    const masterInfo = master.trackInfo[index];
+    const candidateInfo = candidate.trackInfo[index];
+    const masterBits = trimmedBits(master.trackData[index]);
+    const candidateBits = trimmedBits(candidate.trackData[index]);
+    if (masterBits.length == 0 && candidateBits.length == 0) {
+        return { track, status: 'empty', match: true };
+    }
+
+    // a card swiped the other way round reads back reversed
+    const flipped = masterInfo.reversed !== candidateInfo.reversed;
+    const bits = orient(candidateBits, flipped);
+    if (bits === masterBits || orient(candidateBits, !flipped) === masterBits) {
+        return { track, status: 'match', match: true };
+    }
+
+    // binary tracks decode to hex, which the bit diff already covers
+    const chars = masterInfo.binary ? null : firstDifference(masterInfo.text, candidateInfo.text);
+    return {
+        track,
+        status: 'mismatch',
+        match: false,
+        reversed: flipped,
+        masterText: masterInfo.text,
+        candidateText: candidateInfo.text,
+        masterBits,
+        candidateBits: bits,
+        chars,
+        bits: firstDifference(masterBits, bits),
+    };
+};
+
+// master and candidate are readData results
+const compareCards = (master, candidate) => {
+    const tracks = [0, 1, 2].map(i => compareTrack(master, candidate, i));
+    return { match: tracks.every(t => t.match), tracks };
+};
+
+const identity = text => text;
+
+// style decorates parts of the diff, e.g. with chalk; showText(text, trackNum)
+// lets the caller mask the characters it prints. The bits around a difference
+// would give masked characters back, so showBits: false leaves them out.
+const plainStyle = {
+    heading: identity,
+    dim: identity,
+    good: identity,
+    bad: identity,
+};
+
+const BIT_CONTEXT = 24;
+
+// Both lines of a diff around the first difference, the characters that
+// differ picked out and a caret under the first of them
+const diffLines = (master, candidate, position, width, s) => {
+    const start = Math.max(0, position - width);
+    const stop = position + width * 2;
+    const lead = start > 0 ? '…' : '';
+    const show = (text, other) => lead +
+        [...text.slice(start, stop)].map((char, i) => char !== other[start + i] ? s.bad(char) : char).join('') +
+        (stop < text.length ? '…' : '');
+    return [
+        `    master     ${show(master, candidate)}`,
+        `    candidate  ${show(candidate, master)}`,
+        `               ${' '.repeat(lead.length + position - start)}${s.bad('^')}`,
+    ];
+};
+
+const plural = (count, word) => `${count} ${word}${count == 1 ? '' : 's'}`;
+
+const renderComparison = (comparison, { style = plainStyle, showText = identity, showBits = true } = {}) => {
+    const s = { ...plainStyle, ...style };
+    const lines = [];
+    comparison.tracks.forEach(result => {
+        const state = result.status === 'match' ? s.good('match') : result.status === 'empty' ? s.dim('empty') : s.bad('MISMATCH');
+        lines.push(`${s.heading(`Track ${result.track}`)}: ${state}` + (result.reversed ? s.dim(' (swiped the other way)') : ''));
+        if (result.match) return;
+        if (result.chars) {
+            const { position, count } = result.chars;
+            lines.push(`  characters: ${plural(count, 'difference')}, the first at character ${position + 1}`);
+            lines.push(...diffLines(showText(result.masterText, result.track), showText(result.candidateText, result.track), position, 20, s));
+        } else if (result.masterText && result.masterText === result.candidateText) {
+            lines.push(s.dim('  characters: the same, the difference is in the bits only'));
+        }
+        const { position, count, masterLength, candidateLength } = result.bits;
+        lines.push(`  bits: ${plural(count, 'difference')}, the first at bit ${position}` +
+            (masterLength !== candidateLength ? ` (${masterLength} vs ${candidateLength} bits)` : ''));
+        if (showBits) lines.push(...diffLines(result.masterBits, result.candidateBits, position, BIT_CONTEXT, s));
+    });
+    return lines.join('\n');
+};
+
+// Running tally of a validation session. The report keeps outcomes and the
+// positions of differences only, never track contents, so it can be shared.
+class ValidationSession {
+    constructor() {
+        this.startedAt = new Date().toISOString();
+        this.swipes = [];
+    }
+
+    record(comparison) {
+        this.swipes.push({
+            seq: this.swipes.length + 1,
+            timestamp: new Date().toISOString(),
+            outcome: comparison.match ? 'matched' : 'mismatched',
+            tracks: comparison.tracks.map(t => ({
+                track: t.track,
+                status: t.status,
+                firstCharacter: t.chars ? t.chars.position + 1 : null,
+                charactersDiffering: t.chars ? t.chars.count : null,
+                firstBit: t.bits ? t.bits.position : null,
+                bitsDiffering: t.bits ? t.bits.count : null,
+            })),
+        });
+    }
+
+    recordError(error) {
+        this.swipes.push({
+            seq: this.swipes.length + 1,
+            timestamp: new Date().toISOString(),
+            outcome: 'errored',
+            error: error.message,
+        });
+    }
+
+    tally() {
+        const count = outcome => this.swipes.filter(swipe => swipe.outcome === outcome).length;
+        return { matched: count('matched'), mismatched: count('mismatched'), errored: count('errored') };
+    }
+
+    describeTally() {
+        const { matched, mismatched, errored } = this.tally();
+        return `${matched} matched, ${mismatched} mismatched, ${errored} errored`;
+    }
+
+    toReport() {
+        return {
+            format: 'msr-validation-report',
+            version: 1,
+            startedAt: this.startedAt,
+            endedAt: new Date().toISOString(),
+            ...this.tally(),
+            swipes: this.swipes,
+        };
+    }
+
+    save(file) {
+        fs.writeFileSync(file, JSON.stringify(this.toReport(), null, 2) + '\n');
+    }
+}
+
+module.exports = {
+    compareCards,
+    plainStyle,
+    renderComparison,
+    ValidationSession
+};
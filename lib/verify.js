@@ -0,0 +1,57 @@
+const { toBits } = require('./trackDecoder');
+
+// Read-back verification: compares what a second swipe returned with what was
+// meant to be written. Raw data is compared bit for bit with the leading and
+// trailing zero padding trimmed, since the reader adds its own clocking zeros.
+
+const trimmedBits = bytes => toBits(bytes).join('').replace(/^0+/, '').replace(/0+$/, '');
+
+const isIsoText = text => !!text && text !== 'No Data' && text !== 'Corrupt Data';
+
+// Builds the per-track expectation for a raw write. Tracks sent without data
+// were not written and are not checked; all-zero tracks should read back empty.
+const expectFromWrite = (trackData, isoTracks = []) => trackData.map((track, i) => {
+    if (track.length == 0) return null;
+    if (!track.some(octet => octet != 0)) return { empty: true };
+    return { raw: track, iso: isIsoText(isoTracks[i]) ? isoTracks[i] : null };
+});
+
+const expectErased = tracks => [1, 2, 3].map(n => tracks.includes(n) ? { empty: true } : null);
+
+const compareTrack = (expected, readBack, index) => {
+    const track = index + 1;
+    if (!expected) {
+        return { track, checked: false, ok: true };
+    }
+    const info = readBack.trackInfo[index];
+    const bits = trimmedBits(readBack.trackData[index]);
+    if (expected.empty) {
+        const ok = bits.length == 0;
+        return { track, checked: true, ok, reason: ok ? null : 'track should be blank but has data' };
+    }
+
+    const want = trimmedBits(expected.raw);
+    const rawOk = bits === want || bits === [...want].reverse().join('');
+    // binary tracks have no framing, the raw comparison is all there is
+    const isoOk = expected.iso == null || (info && info.binary) || readBack.isoTracks[index] === expected.iso;
+    const reasons = [];
+    if (!rawOk) reasons.push('raw bits differ');
+    if (!isoOk) reasons.push(`read "${info && info.text ? info.text : readBack.isoTracks[index]}", expected "${expected.iso}"`);
+    return { track, checked: true, ok: rawOk && isoOk, rawOk, isoOk, reason: reasons.join(', ') || null };
+};
+
+const compareReadBack = (expected, readBack) => {
+    const tracks = expected.map((track, i) => compareTrack(track, readBack, i));
+    return {
+        ok: tracks.every(t => t.ok),
+        failedTracks: tracks.filter(t => !t.ok).map(t => t.track),
+        tracks,
+    };
+};
+
+module.exports = {
+    trimmedBits,
+    expectFromWrite,
+    expectErased,
+    compareReadBack
+};
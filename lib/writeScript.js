@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OperationError } = require('./errors');
+const { describeEncoding } = require('./encodings');
+
+// Write scripts build track text from a template, so a run of cards can be
+// issued without typing each one. A script is a JSON file
+//
+//   {
+//     "name": "site-badges",
+//     "tracks": ["%{holder}^{dept}?", ";{site:3}{badge:seq(1000)}={expiry:date(+365d,YYMM)}?", ""],
+//     "values": { "site": "42" }
+//   }
+//
+// or a text file with up to three lines, one per track (# starts a comment).
+// Each {name:spec} is replaced with a value:
+//
+//   {name}              a value given when the script runs, or from "values"
+//   {name:3}            the same, padded with zeros to 3 characters
+//   {name:seq(1000,6)}  a counter that starts at 1000 and moves on after
+//                       every written card, padded to 6 digits
+//   {name:date(+365d,YYMM)}   today moved by days, months or years (d, m, y),
+//                       in YYYY, YY, MM and DD
+//   {:luhn(site,badge)} the Luhn check digit of the digits and the values
+//                       (filled in earlier) listed
+//   {:mod11(badge)}     a mod 11 check digit (weights 2-7 from the right)
+//
+// A name used again later repeats its value. Counters are kept in
+// ~/.msr/counters.json (or counters.path in .msrrc.json), per script name.
+
+const PLACEHOLDER = /\{([A-Za-z_][\w-]*)?(?::([^{}]*))?\}/g;
+const CALL = /^([a-z][a-z0-9]*)\((.*)\)$/;
+
+const defaultCountersPath = () => path.join(os.homedir(), '.msr', 'counters.json');
+
+const invalid = message => new OperationError(message, 'INVALID_INPUT');
+
+const pad = (value, width, name) => {
+    const text = String(value);
+    if (text.length > width) {
+        throw invalid(`${name || 'Value'} ${text} is longer than ${width} characters`);
+    }
+    return text.padStart(width, '0');
+};
+
+const digitsOf = (args, env, fn) => args.map(arg => {
+    const value = /^\d+$/.test(arg) ? arg : env[arg];
+    if (value === undefined) throw invalid(`${fn}(): ${arg} has no value yet`);
+    if (!/^\d*$/.test(value)) throw invalid(`${fn}(): ${arg} is not a number (${value})`);
+    return value;
+}).join('');
+
+const luhn = digits => {
+    let sum = 0;
+    [...digits].reverse().forEach((char, i) => {
+        let value = Number(char);
+        if (i % 2 == 0) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        sum += value;
+    });
+    return String((10 - (sum % 10)) % 10);
+};
+
+const mod11 = digits => {
+    const sum = [...digits].reverse().reduce((total, char, i) => total + Number(char) * (2 + (i % 6)), 0);
+    const check = (11 - (sum % 11)) % 11;
+    if (check == 10) throw invalid(`mod11(): ${digits} has no single-digit check digit`);
+    return String(check);
+};
+
+// date(+365d, YYMM): offsets are days, months or years; no offset is today
+const formatDate = (args, now) => {
+    const [offset = '0', format = 'YYMM'] = args;
+    const date = new Date(now.getTime());
+    const match = offset.match(/^([+-]?\d+)([dmy]?)$/);
+    if (!match) throw invalid(`date(): ${offset} is not an offset like +365d, +1m or -2y`);
+    const amount = Number(match[1]);
+    if (match[2] === 'm') date.setMonth(date.getMonth() + amount);
+    else if (match[2] === 'y') date.setFullYear(date.getFullYear() + amount);
+    else date.setDate(date.getDate() + amount);
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        DD: String(date.getDate()).padStart(2, '0'),
+    };
+    return format.replace(/YYYY|YY|MM|DD/g, token => parts[token]);
+};
+
+const functions = ['seq', 'date', 'luhn', 'mod11'];
+
+const parseSpec = spec => {
+    if (spec === undefined || spec === '') return { kind: 'input' };
+    if (/^\d+$/.test(spec)) return { kind: 'input', width: Number(spec) };
+    const call = spec.replace(/\s+/g, '').match(CALL);
+    if (!call) throw invalid(`Cannot read {…:${spec}}, expected a width or a function call`);
+    if (!functions.includes(call[1])) {
+        throw invalid(`Unknown function ${call[1]}(), use one of ${functions.map(fn => `${fn}()`).join(', ')}`);
+    }
+    return { kind: 'call', fn: call[1], args: call[2] ? call[2].split(',') : [] };
+};
+
+// The placeholders of every track, in the order they are filled in
+const parsePlaceholders = tracks => {
+    const placeholders = [];
+    tracks.forEach((template, track) => {
+        for (const match of template.matchAll(PLACEHOLDER)) {
+            placeholders.push({ track, text: match[0], name: match[1] || null, ...parseSpec(match[2]) });
+        }
+    });
+    placeholders.filter(p => !p.name && (p.kind === 'input' || p.fn === 'seq')).forEach(p => {
+        throw invalid(`${p.text} needs a name, e.g. {site:3} or {badge:seq(1000)}`);
+    });
+    return placeholders;
+};
+
+const readScriptFile = file => {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw invalid(`Could not read write script ${file}: ${e.message}`);
+    }
+    const name = path.basename(file, path.extname(file));
+    if (path.extname(file).toLowerCase() !== '.json') {
+        const lines = text.split(/\r?\n/).filter(line => !line.startsWith('#'));
+        while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+        if (lines.length > 3) throw invalid(`Write script ${file} has more than three tracks`);
+        return { name, tracks: lines, values: {} };
+    }
+    let script;
+    try {
+        script = JSON.parse(text);
+    } catch (e) {
+        throw invalid(`Write script ${file} is not valid JSON: ${e.message}`);
+    }
+    const tracks = Array.isArray(script.tracks) ? script.tracks : [script.t1, script.t2, script.t3];
+    if (tracks.length > 3) throw invalid(`Write script ${file} has more than three tracks`);
+    return { name: script.name || name, tracks, values: script.values || {} };
+};
+
+const loadWriteScript = file => {
+    const script = readScriptFile(file);
+    script.file = file;
+    script.tracks = [0, 1, 2].map(i => script.tracks[i] == null ? '' : String(script.tracks[i]));
+    if (script.tracks.every(track => !track)) throw invalid(`Write script ${file} has no tracks`);
+    script.placeholders = parsePlaceholders(script.tracks);
+    return script;
+};
+
+// Names the person running the script fills in, with the script's defaults
+const scriptInputs = script => {
+    const computed = new Set(script.placeholders.filter(p => p.kind === 'call' && p.name).map(p => p.name));
+    const inputs = [];
+    script.placeholders.forEach(p => {
+        if (p.kind !== 'input' || !p.name || computed.has(p.name) || inputs.some(input => input.name === p.name)) return;
+        inputs.push({ name: p.name, width: p.width || null, default: script.values[p.name] != null ? String(script.values[p.name]) : undefined });
+    });
+    return inputs;
+};
+
+// Fills in the templates. values are the inputs; counters is a CounterStore
+// (only read here, see commit). Returns { tracks, values, counters } where
+// counters holds the number each counter used.
+const renderScript = (script, { values = {}, counters, now = new Date() } = {}) => {
+    const env = {};
+    const used = {};
+    const missing = scriptInputs(script).filter(input => values[input.name] == null && input.default === undefined);
+    if (missing.length > 0) {
+        throw invalid(`No value for ${missing.map(input => input.name).join(', ')}`);
+    }
+    const valueOf = p => {
+        if (p.kind === 'input') {
+            if (env[p.name] !== undefined && !p.width) return env[p.name];
+            const given = env[p.name] !== undefined ? env[p.name]
+                : values[p.name] != null ? String(values[p.name]) : String(script.values[p.name]);
+            return p.width ? pad(given, p.width, p.name) : given;
+        }
+        if (p.name && env[p.name] !== undefined) return env[p.name];
+        if (p.fn === 'seq') {
+            const [start = '1', width] = p.args;
+            if (!/^\d+$/.test(start) || (width !== undefined && !/^\d+$/.test(width))) {
+                throw invalid(`${p.text}: seq() takes a start number and an optional width`);
+            }
+            const next = counters ? counters.peek(counterKey(script, p.name), Number(start)) : Number(start);
+            used[p.name] = next;
+            return width ? pad(next, Number(width), p.name) : String(next);
+        }
+        if (p.fn === 'date') return formatDate(p.args, now);
+        return p.fn === 'luhn' ? luhn(digitsOf(p.args, env, 'luhn')) : mod11(digitsOf(p.args, env, 'mod11'));
+    };
+
+    // placeholders are in template order; values go into env as they are
+    // filled in, so later placeholders can use them
+    let index = 0;
+    const tracks = script.tracks.map(template => template.replace(PLACEHOLDER, () => {
+        const p = script.placeholders[index++];
+        const value = valueOf(p);
+        if (p.name && env[p.name] === undefined) env[p.name] = value;
+        return value;
+    }));
+    return { tracks, values: env, counters: used };
+};
+
+// Checks rendered text against each track's character set, e.g.
+// track0ISOAlphabetInverted for ISO 7-bit, and its sentinels (start first, end
+// last, neither in between) before anything is encoded. Text a card cannot
+// read back, like track 2 data on track 1, is caught here.
+const validateTracks = (tracks, formats) => {
+    const problems = [];
+    tracks.forEach((text, i) => {
+        if (!text) return;
+        const format = formats[i];
+        if (format.type === 'binary') {
+            if (!/^([0-9a-fA-F]{2})+$/.test(text.replace(/\s+/g, ''))) problems.push(`Track ${i + 1}: binary tracks take hex`);
+            return;
+        }
+        const bad = [...text].map((char, n) => ({ char, n })).filter(({ char }) => format.inverted[char] === undefined);
+        if (bad.length > 0) {
+            const shown = bad.slice(0, 3).map(({ char, n }) => `'${char}' at ${n + 1}`).join(', ');
+            problems.push(`Track ${i + 1}: ${shown}${bad.length > 3 ? ` and ${bad.length - 3} more` : ''} not in the ${describeEncoding(format)} character set`);
+            return;
+        }
+        const { startSentinel: start, endSentinel: end } = format;
+        if (!start || !end) return;
+        if (text[0] !== start) {
+            problems.push(`Track ${i + 1}: must start with the start sentinel '${start}'`);
+        } else if (text.length < 2 || text[text.length - 1] !== end) {
+            problems.push(`Track ${i + 1}: must end with the end sentinel '${end}'`);
+        } else {
+            const inner = [...text.slice(1, -1)].findIndex(char => char === start || char === end);
+            if (inner >= 0) problems.push(`Track ${i + 1}: sentinel '${text[inner + 1]}' at ${inner + 2}, sentinels only go first and last`);
+        }
+    });
+    return problems;
+};
+
+const counterKey = (script, name) => `${script.name}/${name}`;
+
+// Counters of write scripts, one JSON file of { "<script>/<name>": next }
+class CounterStore {
+    constructor(file = defaultCountersPath()) {
+        this.file = file;
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return {};
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (e) {
+            throw new Error(`Could not read counters ${this.file}: ${e.message}`);
+        }
+    }
+
+    peek(key, start) {
+        const stored = this.load()[key];
+        return Number.isInteger(stored) && stored > start ? stored : start;
+    }
+
+    // Moves each counter on past the number a written card used
+    commit(script, used) {
+        const counters = this.load();
+        Object.entries(used).forEach(([name, value]) => {
+            const key = counterKey(script, name);
+            counters[key] = Math.max(Number.isInteger(counters[key]) ? counters[key] : 0, value + 1);
+        });
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(counters, null, 2) + '\n');
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+const countersFromConfig = (config = {}) => new CounterStore((config.counters && config.counters.path) || defaultCountersPath());
+
+// --var name=value, given once or more
+const parseVars = value => {
+    const vars = {};
+    [].concat(value || []).forEach(pair => {
+        const eq = String(pair).indexOf('=');
+        if (eq <= 0) throw invalid(`--var takes name=value, not ${pair}`);
+        vars[pair.slice(0, eq)] = pair.slice(eq + 1);
+    });
+    return vars;
+};
+
+module.exports = {
+    loadWriteScript,
+    scriptInputs,
+    renderScript,
+    validateTracks,
+    CounterStore,
+    countersFromConfig,
+    parseVars
+};